@@ -0,0 +1,87 @@
+/*
+ * ===================================
+ * aviv.js
+ * * Barley (Aviv) reports and the 13th-month decision.
+ * * Reports are logged against the 12th month. If no
+ * * barley is found Aviv before the new moon that ends
+ * * Month 12, a 13th month is added to the year.
+ * ===================================
+ */
+
+import { buildBiblicalYear } from './biblicalYear.js';
+
+export const BARLEY_STATES = ['green', 'aviv', 'ripe'];
+
+// States that count as "the Aviv was found"
+const AVIV_STATES = ['aviv', 'ripe'];
+
+/**
+ * Checks a report from the form and returns a clean copy with an id.
+ * Throws an Error with a readable message if something is missing.
+ */
+export function createBarleyReport({ id, date, location, reporter, state, notes = '' }) {
+  if (!date || isNaN(new Date(date + 'T00:00:00'))) {
+    throw new Error('Please enter the date the barley was inspected.');
+  }
+  if (!location || !location.trim()) {
+    throw new Error('Please enter where the barley was inspected.');
+  }
+  if (!reporter || !reporter.trim()) {
+    throw new Error('Please enter who made the report.');
+  }
+  if (!BARLEY_STATES.includes(state)) {
+    throw new Error(`Barley state must be one of: ${BARLEY_STATES.join(', ')}.`);
+  }
+
+  return {
+    id: id || `aviv-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    date,
+    location: location.trim(),
+    reporter: reporter.trim(),
+    state,
+    notes: notes.trim()
+  };
+}
+
+/**
+ * The new moon that ends Month 12 of a built biblical year.
+ * The Aviv must be found before it, or Month 13 is added.
+ */
+export function getAvivDeadline(biblicalYear) {
+  const month13 = biblicalYear.months[12];
+  return month13 ? month13.conjunction : biblicalYear.nextAviv;
+}
+
+/**
+ * Decides whether the year needs a 13th month from the barley reports.
+ *
+ * Returns { status, intercalate, evidence }, where status is:
+ *  - 'aviv-found': a report found Aviv (or ripe) barley in time; 12 months
+ *  - 'intercalate': the deadline passed without Aviv; add Month 13
+ *  - 'pending': no Aviv yet, but the deadline has not passed
+ */
+export function decideIntercalation(reports, deadline, now = new Date()) {
+  const inTime = reports.filter(report => new Date(report.date + 'T00:00:00') < deadline);
+  const evidence = inTime.find(report => AVIV_STATES.includes(report.state)) || null;
+
+  if (evidence) {
+    return { status: 'aviv-found', intercalate: false, evidence };
+  }
+  if (now >= deadline) {
+    return { status: 'intercalate', intercalate: true, evidence: null };
+  }
+  return { status: 'pending', intercalate: undefined, evidence: null };
+}
+
+/**
+ * Flags likely 13-month years ahead of time from the equinox relation,
+ * for years that have no barley reports yet.
+ */
+export function projectLeapYears(fromYear, count) {
+  const projection = [];
+  for (let year = fromYear; year < fromYear + count; year++) {
+    const biblicalYear = buildBiblicalYear(year);
+    projection.push({ year, intercalated: biblicalYear.intercalated });
+  }
+  return projection;
+}
@@ -0,0 +1,88 @@
+/*
+ * ===================================
+ * biblicalDay.js
+ * * A biblical day runs from sunset to sunset.
+ * * The dates we show are the daylight part of the day,
+ * * so every day really begins the evening before.
+ * * Where the sun does not set (or dusk does not come)
+ * * on a date, as in polar summer, the day ends at 18:00
+ * * local mean time instead, and is marked `estimated`.
+ * ===================================
+ */
+
+import * as SunCalc from './suncalc.js';
+
+/**
+ * Which moment of the evening ends the day, by SunCalc time name.
+ */
+export const SUNSET_CONVENTIONS = {
+  'sunset': 'sunset',               // the sun's disk has fully set (default)
+  'sunset-start': 'sunsetStart',    // the sun's lower edge touches the horizon
+  'dusk': 'dusk',                   // end of civil twilight, sun 6° below the horizon
+  'nautical-dusk': 'nauticalDusk'   // sun 12° below the horizon, stars clearly out
+};
+
+// The end of the day where there is no sundown, in hours of local mean time
+const FALLBACK_HOUR = 18;
+
+/**
+ * UTC noon of a local calendar date, so SunCalc.getTimes
+ * returns that date's sunset at any longitude.
+ */
+function calendarNoon(date) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12));
+}
+
+/**
+ * The sundown ending a calendar date as { time, estimated }: SunCalc's
+ * time, or FALLBACK_HOUR local mean time when it has none (NaN).
+ */
+function findSunset(date, lat, lon, convention) {
+  const timeName = SUNSET_CONVENTIONS[convention];
+  if (!timeName) {
+    throw new Error(`Unknown sunset convention "${convention}". Use one of: ${Object.keys(SUNSET_CONVENTIONS).join(', ')}.`);
+  }
+  const noon = calendarNoon(date);
+  const time = SunCalc.getTimes(noon, lat, lon)[timeName];
+  if (!isNaN(time)) return { time, estimated: false };
+  const offsetHours = FALLBACK_HOUR - 12 - lon / 15;
+  return { time: new Date(noon.getTime() + offsetHours * 60 * 60 * 1000), estimated: true };
+}
+
+/**
+ * The sunset that ends a calendar date at the given location,
+ * by one of the SUNSET_CONVENTIONS (18:00 local mean time if there is none).
+ */
+export function getSunset(date, lat, lon, convention = 'sunset') {
+  return findSunset(date, lat, lon, convention).time;
+}
+
+/**
+ * The sunset-to-sunset span of the biblical day whose daylight falls on `date`.
+ * It begins at sundown the evening before and ends at sundown on `date`.
+ * `estimated` is true if either sundown is the 18:00 stand-in.
+ */
+export function getBiblicalDayBounds(date, lat, lon, convention = 'sunset') {
+  const eve = new Date(date);
+  eve.setDate(eve.getDate() - 1);
+  const start = findSunset(eve, lat, lon, convention);
+  const end = findSunset(date, lat, lon, convention);
+  return { start: start.time, end: end.time, estimated: start.estimated || end.estimated };
+}
+
+/**
+ * Formats a sundown instant, e.g. "Fri, Apr 3, 7:12 PM GMT+3".
+ * Pass the observer's time zone to show their local time.
+ */
+export function formatSundown(instant, timeZone) {
+  return instant.toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+    timeZone
+  });
+}
@@ -0,0 +1,86 @@
+/*
+ * ===================================
+ * biblicalYear.js
+ * * Builds a biblical year from the Aviv month (Month 1)
+ * * through Month 12 or 13, crossing the Gregorian
+ * * year boundary, up to the next year's Aviv.
+ * ===================================
+ */
+
+import { findNextNewMoon, findNewMoonNearest } from './conjunction.js';
+
+// The new-moon search lives in conjunction.js; re-exported for existing callers
+export { findNextNewMoon, findNewMoonNearest };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LUNAR_CYCLE_DAYS = 29.530588861; // Average synodic period
+const JD_UNIX_EPOCH = 2440587.5;
+
+/**
+ * The March (spring) equinox for a Gregorian year.
+ * Meeus, "Astronomical Algorithms", chapter 27 (mean formula, years 1000-3000).
+ */
+export function getMarchEquinox(year) {
+  const y = (year - 2000) / 1000;
+  const jde = 2451623.80984 + 365242.37404 * y + 0.05169 * y ** 2 - 0.00411 * y ** 3 - 0.00057 * y ** 4;
+  return new Date((jde - JD_UNIX_EPOCH) * DAY_MS);
+}
+
+/**
+ * Builds the biblical year whose Month 1 begins in the spring of `year`.
+ *
+ * Options:
+ *  - avivDate: a confirmed Day 1 of Month 1; the year then starts from that
+ *    month's new moon instead of the one nearest the equinox.
+ *  - intercalate: true for a 13-month year, false for 12. When left out,
+ *    the count is projected from the next spring equinox.
+ */
+export function buildBiblicalYear(year, options = {}) {
+  const { avivDate = null, intercalate } = options;
+
+  // 1. Month 1 starts at the new moon nearest the equinox, or the
+  //    one just before a confirmed Day 1 (Day 1 follows it by 1-3 days).
+  const firstNewMoon = avivDate
+    ? findNextNewMoon(new Date(avivDate.getTime() - 5 * DAY_MS))
+    : findNewMoonNearest(getMarchEquinox(year));
+
+  // 2. Walk forward one lunation at a time
+  const newMoons = [firstNewMoon];
+  while (newMoons.length < 14) {
+    const last = newMoons[newMoons.length - 1];
+    newMoons.push(findNextNewMoon(new Date(last.getTime() + (LUNAR_CYCLE_DAYS - 3) * DAY_MS)));
+  }
+
+  // 3. Decide 12 or 13 months
+  let monthCount;
+  if (typeof intercalate === 'boolean') {
+    monthCount = intercalate ? 13 : 12;
+  } else {
+    const projectedAviv = findNewMoonNearest(getMarchEquinox(year + 1));
+    const lunations = newMoons.findIndex(moon => Math.abs(moon - projectedAviv) < DAY_MS);
+    monthCount = Math.min(Math.max(lunations, 12), 13);
+  }
+
+  const months = newMoons.slice(0, monthCount).map((conjunction, index) => ({
+    number: index + 1,
+    conjunction
+  }));
+
+  return {
+    year,
+    equinox: getMarchEquinox(year),
+    months,
+    intercalated: monthCount === 13,
+    projected: typeof intercalate !== 'boolean',
+    nextAviv: newMoons[monthCount]
+  };
+}
+
+/**
+ * Returns the biblical year (by its spring) that a date falls in.
+ * Before this spring's Aviv, that is the year that began last spring.
+ */
+export function getBiblicalYearFor(date) {
+  const thisYear = buildBiblicalYear(date.getFullYear());
+  return date >= thisYear.months[0].conjunction ? thisYear.year : thisYear.year - 1;
+}
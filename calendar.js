@@ -0,0 +1,564 @@
+/*
+ * ===================================
+ * calendar.js
+ * * The headless calendar engine: months, feasts and
+ * * Sabbaths of a biblical year, with no DOM access.
+ * * The web page, scripts and bots all use this module,
+ * * and it runs unchanged under Node.
+ * *
+ * *   import { computeYear } from './calendar.js';
+ * *   const { months, feasts, sabbaths } = computeYear({ year: 2026 });
+ * ===================================
+ */
+
+import { FEASTS, FEAST_SPANS, RECKONINGS, DEFAULT_RECKONING, getFeastsFor } from './feasts.js';
+import { evaluateFeastRules, locateDate, validateObservances } from './feastRules.js';
+import { predictFirstVisibility } from './visibility.js';
+import { buildBiblicalYear } from './biblicalYear.js';
+import { getAvivDeadline, decideIntercalation } from './aviv.js';
+import { findCity, createCustomLocation } from './locations.js';
+import { getBiblicalDayBounds, SUNSET_CONVENTIONS } from './biblicalDay.js';
+import { createEmptyCalendar, getConfirmedDayOne } from './storage.js';
+import { isHebrewLeapYear, hebrewToDate, getHebrewYearForSpring, formatHebrewDate } from './hebrewCalendar.js';
+import { findEclipsesBetween, getLocalCircumstances } from './eclipses.js';
+
+export { getZodiacSign } from './zodiac.js';
+export { SUNSET_CONVENTIONS } from './biblicalDay.js';
+export { RECKONINGS, DEFAULT_RECKONING } from './feasts.js';
+export { ECLIPSE_TYPES, describeEclipse, describeLocalCircumstances } from './eclipses.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A confirmed Day 1 further than this from its lunation belongs to another month
+const CONFIRMED_WINDOW_MS = 5 * DAY_MS;
+
+/**
+ * An error the caller can show or act on: `code` is stable
+ * (e.g. 'WAVE_SHEAF_REQUIRED'), `message` is readable.
+ */
+export class CalendarError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'CalendarError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Helper function to add days to a date.
+ */
+export function addDays(date, days) {
+  const newDate = new Date(date);
+  newDate.setDate(newDate.getDate() + days);
+  return newDate;
+}
+
+/**
+ * Resolves a location setting (a gazetteer id or a custom location).
+ * Unlike the page, an unknown id is an error rather than Jerusalem.
+ */
+export function toLocation(setting) {
+  if (setting && typeof setting === 'object') {
+    try {
+      return createCustomLocation(setting);
+    } catch (error) {
+      throw new CalendarError('INVALID_LOCATION', error.message, { setting });
+    }
+  }
+  const city = findCity(setting);
+  if (!city) {
+    throw new CalendarError('UNKNOWN_LOCATION', `Unknown location "${setting}".`, { setting });
+  }
+  return city;
+}
+
+/**
+ * Checks a month confirmation before it is saved or calculated.
+ * Returns a list of CalendarErrors (empty when the entry is fine).
+ */
+export function checkMonthEntry({ date, monthNumber, waveSheafDate = null }) {
+  const errors = [];
+  if (!date || isNaN(new Date(date + 'T00:00:00'))) {
+    errors.push(new CalendarError('DAY_ONE_REQUIRED', 'Please select a confirmed Day 1 date.'));
+  }
+  if (!Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 13) {
+    errors.push(new CalendarError('INVALID_MONTH', 'Please enter a valid month number (1-13).', { monthNumber }));
+  }
+  if (monthNumber === 3 && !waveSheafDate) {
+    errors.push(new CalendarError('WAVE_SHEAF_REQUIRED',
+      'Cannot calculate Shavuot (Month 3)!\n\nYou must first calculate Month 1 (Aviv) so the date of the Wave Sheaf Offering can be set.'));
+  }
+  return errors;
+}
+
+// =============================================
+// FEASTS
+// =============================================
+
+/**
+ * Dates the built-in feasts and any custom observances within a year's
+ * months (see feastRules.js), expands multi-day feasts into one entry per
+ * day, and gives each day its month, day of the month and sundown-to-sundown
+ * bounds at `location`. `known` gives dates for feast ids decided elsewhere,
+ * and `reckoning` picks the Wave Sheaf and Shavuot rules (see RECKONINGS).
+ * Each feast keeps `dependsOn`: the months its date is counted from.
+ */
+export function calculateFeastDates(months, {
+  observances = [],
+  known = {},
+  location = findCity('jerusalem'),
+  convention = 'sunset',
+  reckoning = DEFAULT_RECKONING
+} = {}) {
+  const dated = evaluateFeastRules([...getFeastsFor(reckoning), ...observances], months, known);
+
+  return expandFeastSpans(dated)
+    .map(feast => {
+      const place = locateDate(feast.date, months);
+      return place && {
+        ...feast,
+        ...place,
+        ...getBiblicalDayBounds(feast.date, location.lat, location.lon, convention)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Calculates the feast dates that fall in one month, from its Day 1.
+ * Feasts counted from the Wave Sheaf (Shavuot) need its date.
+ * `location` and `convention` give each day its sundown-to-sundown bounds.
+ */
+export function calculateFeasts(dayOne, monthNumber, waveSheafDate = null, location = findCity('jerusalem'),
+  convention = 'sunset', reckoning = DEFAULT_RECKONING) {
+  const months = [{ number: monthNumber, dayOne, length: 30 }];
+  const known = waveSheafDate ? { 'wave-sheaf': waveSheafDate } : {};
+  return calculateFeastDates(months, { known, location, convention, reckoning })
+    .filter(feast => feast.month === monthNumber);
+}
+
+/**
+ * The Wave Sheaf date among calculated feasts, or null.
+ */
+export function findWaveSheafDate(feasts) {
+  const waveSheaf = feasts.find(f => f.id === 'wave-sheaf');
+  return waveSheaf ? waveSheaf.date : null;
+}
+
+/**
+ * Turns each feast with a 'duration' into one entry per day.
+ * Generated days are regular work days; a listed feast that lands on
+ * the same day of the same span (e.g. Unleavened Bread Day 7) replaces
+ * the generated entry, keeping its own name and High Sabbath status.
+ */
+function expandFeastSpans(feasts) {
+  const byDay = new Map();
+  const keyOf = (span, date) => `${span}|${date.toDateString()}`;
+
+  // 1. Generate every day of each span. A custom observance's range is its own span.
+  feasts.filter(feast => feast.duration > 1).forEach(start => {
+    const span = start.span || start.id;
+    const builtIn = FEAST_SPANS[span];
+    for (let i = 1; i < start.duration; i++) {
+      const date = addDays(start.date, i);
+      byDay.set(keyOf(span, date), {
+        id: `${start.id}-${i + 1}`,
+        name: `${builtIn ? builtIn.name : start.name} - Day ${i + 1}`,
+        rule: start.rule,
+        reckoning: start.reckoning,
+        dependsOn: start.dependsOn,
+        span,
+        highSabbath: false,
+        custom: start.custom,
+        description: builtIn
+          ? "Intermediate day (Chol HaMoed): a regular work day within the feast."
+          : start.description,
+        date
+      });
+    }
+  });
+
+  // 2. Listed feasts win over generated days; others pass through
+  const result = [];
+  feasts.forEach(feast => {
+    const { duration, ...entry } = feast;
+    const merged = { highSabbath: false, ...entry };
+    if (duration > 1 && !feast.span) merged.span = feast.id;
+    if (merged.span) {
+      byDay.set(keyOf(merged.span, feast.date), merged);
+    } else {
+      result.push(merged);
+    }
+  });
+
+  // 3. Number each day within its span
+  const spanDays = [...byDay.values()];
+  spanDays.forEach(entry => {
+    const sameSpan = spanDays.filter(other => other.span === entry.span);
+    const first = Math.min(...sameSpan.map(other => other.date));
+    entry.spanDay = Math.round((entry.date - first) / DAY_MS) + 1;
+    entry.spanLength = sameSpan.length;
+  });
+
+  return [...result, ...spanDays];
+}
+
+// =============================================
+// RABBINIC COMPARISON
+// =============================================
+
+/**
+ * Adds the Rabbinic (Hillel II) date of each feast in a biblical year:
+ * the same month and day of the Hebrew calendar, or the feast's own
+ * `rabbinicDay` (the Wave Sheaf on 16 Nisan, Shavuot on 6 Sivan).
+ * `rabbinic.difference` is in days, positive when the Rabbinic date is later.
+ */
+export function addRabbinicDates(feasts, year) {
+  return feasts.map(feast => {
+    const sameDate = ['fixed', 'range'].includes(feast.rule?.type);
+    const target = feast.rabbinicDay !== undefined
+      ? feast.rabbinicDay
+      : (sameDate ? { month: feast.month, day: feast.day } : null);
+
+    // Months 7-13 fall after Rosh Hashanah, in the next Hebrew year
+    const hebrewYear = target && getHebrewYearForSpring(year) + (target.month >= 7 ? 1 : 0);
+    if (!target || (target.month === 13 && !isHebrewLeapYear(hebrewYear))) {
+      return { ...feast, rabbinic: null };
+    }
+
+    const hebrew = { year: hebrewYear, month: target.month, day: target.day };
+    const date = hebrewToDate(hebrewYear, target.month, target.day);
+    return {
+      ...feast,
+      rabbinic: {
+        ...hebrew,
+        date,
+        label: formatHebrewDate(hebrew),
+        difference: Math.round((date - feast.date) / DAY_MS)
+      }
+    };
+  });
+}
+
+/**
+ * Compares a biblical year with the Rabbinic one. Our year has 13 months
+ * when a month is added before next spring's Aviv; the Rabbinic year adds
+ * Adar II before the same Nisan. When they disagree (or Month 1 starts
+ * weeks away from 1 Nisan), the month numbering is a month apart.
+ */
+export function compareWithRabbinicYear(biblicalYear, months) {
+  const hebrewYear = getHebrewYearForSpring(biblicalYear.year);
+  const rabbinicLeap = isHebrewLeapYear(hebrewYear + 1);
+  const nisanOffsetDays = Math.round((months[0].dayOne - hebrewToDate(hebrewYear, 1, 1)) / DAY_MS);
+
+  return {
+    hebrewYear,
+    rabbinicLeap,
+    avivLeap: biblicalYear.intercalated,
+    leapDisagrees: rabbinicLeap !== biblicalYear.intercalated,
+    nisanOffsetDays,
+    monthApart: Math.abs(nisanOffsetDays) > 15
+  };
+}
+
+// =============================================
+// THE YEAR
+// =============================================
+
+/**
+ * Builds a biblical year from everything we know about it:
+ * a saved Month 1 anchors its start, last year's barley decision
+ * decides where it begins, and its own reports decide 12 or 13 months.
+ * Pass `intercalate` (true or false) to force 13 or 12 months instead.
+ */
+export function resolveBiblicalYear(year, calendar, intercalate = undefined) {
+  let avivDate = getConfirmedDayOne(calendar, year, 1);
+
+  // If last year's length came from barley reports, this year starts where it ended
+  if (!avivDate && calendar.years[year - 1]?.avivReports.length) {
+    avivDate = resolveBiblicalYear(year - 1, calendar).nextAviv;
+  }
+
+  if (typeof intercalate === 'boolean') {
+    return { ...buildBiblicalYear(year, { avivDate, intercalate }), decision: null };
+  }
+
+  const projected = buildBiblicalYear(year, { avivDate });
+  const reports = calendar.years[year]?.avivReports || [];
+  if (reports.length === 0) {
+    return { ...projected, decision: null };
+  }
+
+  const decision = decideIntercalation(reports, getAvivDeadline(projected));
+  if (decision.intercalate === undefined) {
+    return { ...projected, decision };
+  }
+  return { ...buildBiblicalYear(year, { avivDate, intercalate: decision.intercalate }), decision };
+}
+
+/**
+ * Works out Day 1 of every month: the saved (confirmed) date for that
+ * lunation if there is one, otherwise the crescent-visibility prediction
+ * at the authority. The next year's Month 1 is predicted too, so the
+ * last month has a length.
+ */
+export function resolveMonthStarts(biblicalYear, calendar, authority) {
+  const months = [];
+  biblicalYear.months.forEach(({ number, conjunction }) => {
+    // A month with no likely evening follows a full 30-day month
+    const previousDayOne = months[months.length - 1]?.dayOne ?? null;
+    const visibility = predictFirstVisibility(conjunction, authority.lat, authority.lon, 3, previousDayOne);
+    const savedDate = getConfirmedDayOne(calendar, biblicalYear.year, number);
+    const confirmed = savedDate && Math.abs(savedDate - conjunction) < CONFIRMED_WINDOW_MS ? savedDate : null;
+    months.push({ number, conjunction, visibility, confirmed, dayOne: confirmed || visibility.dayOne });
+  });
+
+  const nextDayOne = predictFirstVisibility(biblicalYear.nextAviv, authority.lat, authority.lon, 3,
+    months[months.length - 1].dayOne).dayOne;
+  months.forEach((month, index) => {
+    const end = index + 1 < months.length ? months[index + 1].dayOne : nextDayOne;
+    month.length = Math.round((end - month.dayOne) / DAY_MS);
+  });
+  return months;
+}
+
+/**
+ * Calculates every feast of a year's months from confirmed or predicted Day 1s,
+ * with any custom observances. A feast is tentative while the month it falls
+ * in, or a month it is counted from (Shavuot from Month 1), is not confirmed.
+ */
+export function calculateYearFeasts(months, observer, convention = 'sunset', observances = [], reckoning = DEFAULT_RECKONING) {
+  const confirmed = new Set(months.filter(month => month.confirmed).map(month => month.number));
+
+  return calculateFeastDates(months, { observances, location: observer, convention, reckoning }).map(feast => ({
+    ...feast,
+    tentative: ![feast.month, ...feast.dependsOn].every(number => confirmed.has(number))
+  }));
+}
+
+/**
+ * Lists the weekly Sabbaths of a year's months with their biblical
+ * date and sundown-to-sundown bounds.
+ */
+export function listSabbaths(months, observer, convention = 'sunset') {
+  const sabbaths = [];
+  months.forEach(month => {
+    for (let day = 1; day <= month.length; day++) {
+      const date = addDays(month.dayOne, day - 1);
+      if (date.getDay() !== 6) continue;
+      sabbaths.push({
+        date,
+        month: month.number,
+        day,
+        tentative: !month.confirmed,
+        ...getBiblicalDayBounds(date, observer.lat, observer.lon, convention)
+      });
+    }
+  });
+  return sabbaths;
+}
+
+/**
+ * Lists the eclipses of a year's months: the solar eclipses at their new
+ * moons and the lunar eclipses at their full moons. Each eclipse (see
+ * eclipses.js) gets the `month` whose new moon it follows and its `local`
+ * circumstances at the observer.
+ */
+export function listYearEclipses(months, observer) {
+  const first = months[0].conjunction;
+  const last = months[months.length - 1].conjunction;
+  // A solar eclipse can fall a little before the computed conjunction
+  const eclipses = findEclipsesBetween(new Date(first - DAY_MS), new Date(last.getTime() + 28 * DAY_MS));
+  return eclipses.map(eclipse => ({
+    ...eclipse,
+    month: months.filter(month => month.conjunction - DAY_MS <= eclipse.date).pop().number,
+    local: getLocalCircumstances(eclipse, observer)
+  }));
+}
+
+/**
+ * Computes a whole biblical year.
+ *
+ * Options:
+ *  - year: the biblical year, by the Gregorian year of its spring (required)
+ *  - calendar: saved data in the storage.js schema (confirmed Day 1s, barley reports)
+ *  - authority / observer: location settings (gazetteer ids or custom locations);
+ *    default to the calendar's saved locations
+ *  - sunsetConvention: which moment ends the day (see SUNSET_CONVENTIONS), 'sunset' by default
+ *  - intercalate: true or false to force 13 or 12 months; by default the
+ *    barley reports (or the equinox projection) decide
+ *  - observances: custom observances in the feastRules.js format, shown with
+ *    the built-in feasts; default to the calendar's saved observances
+ *  - reckoning: how the Wave Sheaf and Shavuot are counted (see RECKONINGS);
+ *    defaults to the calendar's saved reckoning
+ *
+ * Returns { year, biblicalYear, authority, observer, months, sunsetConvention, reckoning, observances,
+ * feasts, sabbaths, eclipses, rabbinic }; each feast carries its Rabbinic date (see addRabbinicDates)
+ * and the eclipses are listed by listYearEclipses.
+ * Throws a CalendarError for invalid options.
+ */
+export function computeYear({
+  year,
+  calendar = createEmptyCalendar(),
+  authority,
+  observer,
+  sunsetConvention = 'sunset',
+  intercalate,
+  observances,
+  reckoning
+} = {}) {
+  if (!Number.isInteger(year) || year < 1000 || year > 9999) {
+    throw new CalendarError('INVALID_YEAR', `"${year}" is not a valid year (use e.g. 2026).`, { year });
+  }
+  if (!SUNSET_CONVENTIONS[sunsetConvention]) {
+    throw new CalendarError('INVALID_SUNSET_CONVENTION',
+      `Unknown sunset convention "${sunsetConvention}". Use one of: ${Object.keys(SUNSET_CONVENTIONS).join(', ')}.`,
+      { sunsetConvention });
+  }
+
+  const locations = calendar.settings.locations;
+  const authorityLocation = toLocation(authority ?? locations.authority);
+  const observerLocation = toLocation(observer ?? locations.observer);
+
+  const reckoningId = reckoning ?? calendar.settings.reckoning ?? DEFAULT_RECKONING;
+  if (!RECKONINGS[reckoningId]) {
+    throw new CalendarError('UNKNOWN_RECKONING',
+      `Unknown reckoning "${reckoningId}". Use one of: ${Object.keys(RECKONINGS).join(', ')}.`,
+      { reckoning: reckoningId });
+  }
+
+  const checked = validateObservances(observances ?? calendar.settings.observances ?? [], FEASTS);
+  if (checked.problems.length) {
+    throw new CalendarError('INVALID_OBSERVANCE', checked.problems.join(' '), { problems: checked.problems });
+  }
+
+  const biblicalYear = resolveBiblicalYear(year, calendar, intercalate);
+  const months = resolveMonthStarts(biblicalYear, calendar, authorityLocation);
+
+  return {
+    year,
+    biblicalYear,
+    authority: authorityLocation,
+    observer: observerLocation,
+    months,
+    sunsetConvention,
+    reckoning: reckoningId,
+    observances: checked.observances,
+    feasts: addRabbinicDates(
+      calculateYearFeasts(months, observerLocation, sunsetConvention, checked.observances, reckoningId), year),
+    sabbaths: listSabbaths(months, observerLocation, sunsetConvention),
+    eclipses: listYearEclipses(months, observerLocation),
+    rabbinic: compareWithRabbinicYear(biblicalYear, months)
+  };
+}
+
+/**
+ * Computes a year (same options as computeYear) under every reckoning.
+ * Returns one { reckoning, name, description, feasts } per entry of
+ * RECKONINGS; the months are the same for all of them.
+ */
+export function compareReckonings(options) {
+  const result = computeYear(options);
+  return Object.entries(RECKONINGS).map(([id, { name, description }]) => ({
+    reckoning: id,
+    name,
+    description,
+    feasts: id === result.reckoning
+      ? result.feasts
+      : addRabbinicDates(calculateYearFeasts(result.months, result.observer, result.sunsetConvention,
+        result.observances, id), result.year)
+  }));
+}
+
+// =============================================
+// CHANGES
+// =============================================
+
+/**
+ * Compares two computations of the same year (see computeYear): the months
+ * whose Day 1 moved, appeared or went away, and the feasts whose date moved.
+ * `days` is how far a date moved (positive = later), or null when the
+ * month or feast is only in one of them.
+ */
+export function diffYears(before, after) {
+  const compare = (oldDate, newDate) => ({
+    before: oldDate,
+    after: newDate,
+    days: oldDate && newDate ? Math.round((newDate - oldDate) / DAY_MS) : null
+  });
+
+  const monthNumbers = [...new Set([...before.months, ...after.months].map(month => month.number))];
+  const months = monthNumbers
+    .sort((a, b) => a - b)
+    .map(number => ({
+      year: after.year,
+      number,
+      ...compare(
+        before.months.find(month => month.number === number)?.dayOne ?? null,
+        after.months.find(month => month.number === number)?.dayOne ?? null
+      )
+    }))
+    .filter(entry => entry.days !== 0);
+
+  const feastNames = [...new Set([...before.feasts, ...after.feasts].map(feast => feast.name))];
+  const feasts = feastNames
+    .map(name => {
+      const oldFeast = before.feasts.find(feast => feast.name === name);
+      const newFeast = after.feasts.find(feast => feast.name === name);
+      return {
+        year: after.year,
+        name,
+        month: (newFeast || oldFeast).month,
+        ...compare(oldFeast?.date ?? null, newFeast?.date ?? null)
+      };
+    })
+    .filter(entry => entry.days !== 0)
+    .sort((a, b) => (a.after || a.before) - (b.after || b.before));
+
+  return { months, feasts };
+}
+
+/**
+ * Saved Day 1s that a computed year does not use: the month no longer
+ * exists, or the date is too far from its lunation (see CONFIRMED_WINDOW_MS).
+ */
+function findUnusedConfirmations(result, calendar) {
+  const saved = calendar.years[result.year]?.months || {};
+  return Object.keys(saved)
+    .map(Number)
+    .filter(number => !result.months.find(month => month.number === number)?.confirmed)
+    .map(number => ({ year: result.year, number, date: saved[number] }));
+}
+
+/**
+ * Works out what a change to the saved data would do, before it is made.
+ * `change` edits a copy of the calendar. The year and the next one (whose
+ * Month 1 can depend on this year's length) are recomputed from scratch,
+ * so a new Day 1 for Month 1, or a 13th month, carries through every
+ * later month and feast. Other options are passed to computeYear.
+ *
+ * Returns { calendar, diff }: the edited copy to save if the user agrees,
+ * and { months, feasts, unused, unchanged }, where `unused` lists saved
+ * Day 1s the change would leave without a matching month.
+ */
+export function previewChange({ year, calendar, change, ...options }) {
+  const draft = JSON.parse(JSON.stringify(calendar));
+  change(draft);
+
+  const diff = { months: [], feasts: [], unused: [] };
+  [year, year + 1].forEach(affectedYear => {
+    const before = computeYear({ ...options, year: affectedYear, calendar });
+    const after = computeYear({ ...options, year: affectedYear, calendar: draft });
+    const { months, feasts } = diffYears(before, after);
+    diff.months.push(...months);
+    diff.feasts.push(...feasts);
+
+    const alreadyUnused = findUnusedConfirmations(before, calendar).map(entry => entry.number);
+    diff.unused.push(...findUnusedConfirmations(after, draft).filter(entry => !alreadyUnused.includes(entry.number)));
+  });
+  diff.unchanged = !diff.months.length && !diff.feasts.length && !diff.unused.length;
+
+  return { calendar: draft, diff };
+}
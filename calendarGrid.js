@@ -0,0 +1,271 @@
+/*
+ * ===================================
+ * calendarGrid.js
+ * * Renders the calendar as month grids, either one
+ * * grid per biblical month (29 or 30 days) or one per
+ * * Gregorian month, with moon phases, Sabbaths, feasts
+ * * and today marked. Arrow keys move between days.
+ * ===================================
+ */
+
+import * as SunCalc from './suncalc.js';
+import { escapeHtml } from './html.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sabbath'];
+const MOON_GLYPHS = ['🌑', '🌒', '🌓', '🌔', '🌕', '🌖', '🌗', '🌘'];
+const MOON_NAMES = [
+  'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+  'Full Moon', 'Waning Gibbous', 'Third Quarter', 'Waning Crescent'
+];
+
+/**
+ * A local date as YYYY-MM-DD, used as the key for each day.
+ */
+function dateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function addDays(date, days) {
+  const newDate = new Date(date);
+  newDate.setDate(newDate.getDate() + days);
+  return newDate;
+}
+
+/**
+ * The moon phase (glyph and name) at noon of a date.
+ */
+export function getMoonGlyph(date) {
+  const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+  const index = Math.round(SunCalc.getMoonIllumination(noon).phase * 8) % 8;
+  return { glyph: MOON_GLYPHS[index], name: MOON_NAMES[index] };
+}
+
+/**
+ * Lists every day of the year's months with its biblical date and feasts.
+ * `months` are { number, dayOne, length }; `feasts` come from calculateFeasts.
+ */
+export function buildCalendarDays(months, feasts) {
+  const days = new Map();
+
+  months.forEach(month => {
+    for (let day = 1; day <= month.length; day++) {
+      const date = addDays(month.dayOne, day - 1);
+      days.set(dateKey(date), {
+        date,
+        month: month.number,
+        day,
+        isSabbath: date.getDay() === 6,
+        feasts: []
+      });
+    }
+  });
+
+  feasts.forEach(feast => {
+    const entry = days.get(dateKey(feast.date));
+    if (entry) entry.feasts.push(feast);
+  });
+
+  return days;
+}
+
+/**
+ * A short feast label for a cell, e.g. "Feast of Tabernacles" for Sukkot Day 3.
+ */
+function shortFeastName(feast) {
+  return feast.name.split(' (')[0].split(' - ')[0];
+}
+
+/**
+ * Builds one day cell. `primary` is the big number, `secondary` the small date.
+ */
+function createDayCell(date, info, primary, secondary, todayKey) {
+  const key = dateKey(date);
+  const moon = getMoonGlyph(date);
+  const cell = document.createElement('div');
+  cell.setAttribute('role', 'gridcell');
+  cell.tabIndex = -1;
+  cell.dataset.date = key;
+  cell.className = 'day-cell';
+
+  const classes = [];
+  if (date.getDay() === 6) classes.push('sabbath');
+  if (info && info.feasts.length) classes.push('feast');
+  if (info && info.feasts.some(feast => feast.highSabbath)) classes.push('high-sabbath');
+  if (!info) classes.push('outside');
+  if (key === todayKey) {
+    classes.push('today');
+    cell.setAttribute('aria-current', 'date');
+  }
+  cell.classList.add(...classes);
+
+  const feastNames = info ? [...new Set(info.feasts.map(shortFeastName))] : [];
+  cell.innerHTML = `
+    <span class="cell-day">${primary}</span>
+    <span class="cell-date">${secondary}</span>
+    <span class="cell-moon" aria-hidden="true" title="${moon.name}">${moon.glyph}</span>
+    ${feastNames.map(name => `<span class="cell-feast">${escapeHtml(name)}</span>`).join('')}
+  `;
+
+  // Everything a screen reader (or the details line) needs to know
+  const description = [date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })];
+  if (info) description.push(`Month ${info.month}, day ${info.day}`);
+  if (date.getDay() === 6) description.push('weekly Sabbath');
+  if (info) description.push(...info.feasts.map(feast => feast.name));
+  description.push(moon.name);
+  cell.setAttribute('aria-label', description.join(', '));
+  cell.title = description.join('\n');
+
+  return cell;
+}
+
+/**
+ * Builds a 7-column grid with weekday headers and blank cells before
+ * the first date so every Sabbath lands in the last column.
+ */
+function createGrid(title, firstDate, cells) {
+  const section = document.createElement('section');
+  section.className = 'month-grid';
+
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  section.appendChild(heading);
+
+  const grid = document.createElement('div');
+  grid.setAttribute('role', 'grid');
+  grid.setAttribute('aria-label', title);
+  grid.className = 'grid';
+
+  const header = document.createElement('div');
+  header.setAttribute('role', 'row');
+  header.className = 'grid-row';
+  header.innerHTML = WEEKDAYS.map(name => `<span role="columnheader">${name}</span>`).join('');
+  grid.appendChild(header);
+
+  const padded = [...Array(firstDate.getDay()).fill(null), ...cells];
+  for (let i = 0; i < padded.length; i += 7) {
+    const row = document.createElement('div');
+    row.setAttribute('role', 'row');
+    row.className = 'grid-row';
+    padded.slice(i, i + 7).forEach(cell => {
+      if (cell) {
+        row.appendChild(cell);
+      } else {
+        const blank = document.createElement('span');
+        blank.setAttribute('role', 'gridcell');
+        blank.className = 'day-cell blank';
+        row.appendChild(blank);
+      }
+    });
+    grid.appendChild(row);
+  }
+
+  section.appendChild(grid);
+  return section;
+}
+
+/**
+ * One grid per biblical month: day numbers 1-29/30 with the Gregorian date.
+ */
+function renderBiblicalLayout(container, months, days, todayKey) {
+  months.forEach(month => {
+    const cells = [];
+    for (let day = 1; day <= month.length; day++) {
+      const date = addDays(month.dayOne, day - 1);
+      const secondary = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      cells.push(createDayCell(date, days.get(dateKey(date)), day, secondary, todayKey));
+    }
+
+    const last = addDays(month.dayOne, month.length - 1);
+    const title = `Month ${month.number}: ${month.dayOne.toLocaleDateString()} – ${last.toLocaleDateString()}` +
+      ` (${month.length} days)`;
+    container.appendChild(createGrid(title, month.dayOne, cells));
+  });
+}
+
+/**
+ * One grid per Gregorian month the year touches, with the biblical date in each cell.
+ */
+function renderGregorianLayout(container, months, days, todayKey) {
+  const first = months[0].dayOne;
+  const lastMonth = months[months.length - 1];
+  const last = addDays(lastMonth.dayOne, lastMonth.length - 1);
+
+  let monthStart = new Date(first.getFullYear(), first.getMonth(), 1);
+  while (monthStart <= last) {
+    const cells = [];
+    for (let date = new Date(monthStart); date.getMonth() === monthStart.getMonth(); date = addDays(date, 1)) {
+      const info = days.get(dateKey(date));
+      const secondary = info ? `${info.month}/${info.day}` : '';
+      cells.push(createDayCell(date, info, date.getDate(), secondary, todayKey));
+    }
+
+    const title = monthStart.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    container.appendChild(createGrid(title, monthStart, cells));
+    monthStart = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 1);
+  }
+}
+
+/**
+ * Moves keyboard focus between day cells:
+ * arrows by day and week, Home/End to the ends of the week.
+ */
+function enableGridKeyboard(container, onFocusDay) {
+  const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+  container.addEventListener('keydown', (event) => {
+    const cell = event.target.closest('[data-date]');
+    if (!cell) return;
+
+    const date = new Date(cell.dataset.date + 'T00:00:00');
+    let target = null;
+    if (event.key in moves) {
+      target = addDays(date, moves[event.key]);
+    } else if (event.key === 'Home') {
+      target = addDays(date, -date.getDay());
+    } else if (event.key === 'End') {
+      target = addDays(date, 6 - date.getDay());
+    } else {
+      return;
+    }
+    event.preventDefault();
+
+    const next = container.querySelector(`[data-date="${dateKey(target)}"]`);
+    if (next) {
+      cell.tabIndex = -1;
+      next.tabIndex = 0;
+      next.focus();
+    }
+  });
+
+  container.addEventListener('focusin', (event) => {
+    const cell = event.target.closest('[data-date]');
+    if (cell) onFocusDay(cell);
+  });
+}
+
+/**
+ * Renders the whole year into `container` in the chosen layout
+ * ('biblical' or 'gregorian'). Focusing a day calls `onFocusDay(cell)`.
+ */
+export function renderCalendar(container, { months, feasts, layout = 'biblical', today = new Date(), onFocusDay = () => {} }) {
+  container.innerHTML = '';
+  const days = buildCalendarDays(months, feasts);
+  const todayKey = dateKey(today);
+
+  if (layout === 'gregorian') {
+    renderGregorianLayout(container, months, days, todayKey);
+  } else {
+    renderBiblicalLayout(container, months, days, todayKey);
+  }
+
+  // Only one cell is in the tab order: today, or the first day shown
+  const start = container.querySelector('.day-cell.today') || container.querySelector('[data-date]');
+  if (start) start.tabIndex = 0;
+
+  if (!container.dataset.keyboard) {
+    container.dataset.keyboard = 'on';
+    enableGridKeyboard(container, onFocusDay);
+  }
+}
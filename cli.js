@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+/*
+ * ===================================
+ * cli.js
+ * * Prints or exports a biblical year from the command
+ * * line, using the same engine as the web page.
+ * *
+ * *   node cli.js 2026 --location london
+ * *   node cli.js 2026 --confirm 1=2026-03-20 --format ics --output feasts-2026.ics
+ * *   node cli.js 2026 --observances observances.example.json
+ * ===================================
+ */
+
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+import {
+  computeYear, calculateFeasts, findWaveSheafDate, checkMonthEntry, addDays,
+  CalendarError, SUNSET_CONVENTIONS, RECKONINGS, DEFAULT_RECKONING, describeEclipse, describeLocalCircumstances
+} from './calendar.js';
+import { getBiblicalYearFor } from './biblicalYear.js';
+import { formatSundown } from './biblicalDay.js';
+import { GAZETTEER } from './locations.js';
+import { FEASTS } from './feasts.js';
+import { parseObservances } from './feastRules.js';
+import { createEmptyCalendar, getConfirmedDayOne, setConfirmedDayOne, importCalendarBackup } from './storage.js';
+import { buildICalendar } from './ics.js';
+
+const FORMATS = ['table', 'json', 'csv', 'ics'];
+const INTERCALATION = ['auto', '12', '13'];
+
+const USAGE = `Usage: node cli.js [year] [options]
+
+Prints a biblical year's months and feasts, or exports them.
+The year is the Gregorian year of its spring (default: the current biblical year).
+
+Options:
+  -l, --location <place>     Observer for sundown times: a city id or "lat,lon[,timeZone]"
+                             (default: jerusalem)
+  -a, --authority <place>    Whose sighting decides the months (default: jerusalem)
+  -c, --confirm <n=date>     Confirmed Day 1 of month n, e.g. 1=2026-03-20 (repeatable)
+  -d, --data <file>          A JSON backup from the web page (confirmed months, barley reports)
+  -O, --observances <file>   Custom observances to add, as JSON (see observances.example.json)
+  -s, --sunset <convention>  When the day ends: ${Object.keys(SUNSET_CONVENTIONS).join(', ')} (default: sunset)
+  -r, --reckoning <mode>     How the Wave Sheaf is counted: ${Object.keys(RECKONINGS).join(', ')}
+                             (default: the backup's, or ${DEFAULT_RECKONING})
+  -m, --months <auto|12|13>  13th month: decided by barley reports / projection, or forced (default: auto)
+  -f, --format <format>      ${FORMATS.join(', ')} (default: table)
+  -o, --output <file>        Write to a file instead of the terminal
+      --cities               List the city ids
+  -h, --help                 Show this help
+
+Exit codes: 0 success, 1 calendar error (e.g. Month 3 confirmed without Month 1), 2 bad usage.`;
+
+/**
+ * An error in the command line itself (exit code 2).
+ */
+class UsageError extends Error {}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time.
+ */
+function toDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Reads a place: a gazetteer id, or "lat,lon[,timeZone]" for a custom location.
+ */
+function parsePlace(value) {
+  const parts = value.split(',').map(part => part.trim());
+  if (parts.length < 2 || isNaN(Number(parts[0])) || isNaN(Number(parts[1]))) {
+    return value.toLowerCase();
+  }
+  return {
+    name: `${parts[0]}, ${parts[1]}`,
+    lat: Number(parts[0]),
+    lon: Number(parts[1]),
+    timeZone: parts[2] || 'UTC'
+  };
+}
+
+/**
+ * Reads "--confirm 1=2026-03-20" into { monthNumber, date }.
+ */
+function parseConfirmation(value) {
+  const match = /^(\d+)=(\d{4}-\d{2}-\d{2})$/.exec(value);
+  if (!match) {
+    throw new UsageError(`--confirm expects month=YYYY-MM-DD (e.g. 1=2026-03-20), got "${value}".`);
+  }
+  return { monthNumber: Number(match[1]), date: match[2] };
+}
+
+/**
+ * Reads the command line into options for computeYear and the output.
+ */
+function parseCommandLine(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      location: { type: 'string', short: 'l', default: 'jerusalem' },
+      authority: { type: 'string', short: 'a', default: 'jerusalem' },
+      confirm: { type: 'string', short: 'c', multiple: true, default: [] },
+      data: { type: 'string', short: 'd' },
+      observances: { type: 'string', short: 'O' },
+      sunset: { type: 'string', short: 's', default: 'sunset' },
+      reckoning: { type: 'string', short: 'r' },
+      months: { type: 'string', short: 'm', default: 'auto' },
+      format: { type: 'string', short: 'f', default: 'table' },
+      output: { type: 'string', short: 'o' },
+      cities: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (positionals.length > 1) {
+    throw new UsageError(`Expected one year, got: ${positionals.join(' ')}`);
+  }
+  if (positionals.length && !/^[1-9]\d{3}$/.test(positionals[0])) {
+    throw new UsageError(`The year must be a four-digit year (e.g. 2026), got "${positionals[0]}".`);
+  }
+  const year = positionals.length ? Number(positionals[0]) : getBiblicalYearFor(new Date());
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}.`);
+  }
+  if (!INTERCALATION.includes(values.months)) {
+    throw new UsageError(`--months must be one of: ${INTERCALATION.join(', ')}.`);
+  }
+  if (values.reckoning !== undefined && !RECKONINGS[values.reckoning]) {
+    throw new UsageError(`--reckoning must be one of: ${Object.keys(RECKONINGS).join(', ')}.`);
+  }
+
+  return {
+    ...values,
+    year,
+    observer: parsePlace(values.location),
+    authority: parsePlace(values.authority),
+    confirmations: values.confirm.map(parseConfirmation),
+    intercalate: values.months === 'auto' ? undefined : values.months === '13'
+  };
+}
+
+/**
+ * Adds the confirmed Day 1s to the calendar, stopping at the first one the
+ * web page would refuse (e.g. Month 3 before Month 1 sets the Wave Sheaf).
+ */
+function applyConfirmations(calendar, year, confirmations) {
+  confirmations.forEach(({ monthNumber, date }) => setConfirmedDayOne(calendar, year, monthNumber, date));
+
+  const monthOne = getConfirmedDayOne(calendar, year, 1);
+  const waveSheafDate = monthOne ? findWaveSheafDate(calculateFeasts(monthOne, 1)) : null;
+  confirmations.forEach(({ monthNumber, date }) => {
+    const [error] = checkMonthEntry({ date, monthNumber, waveSheafDate });
+    if (error) throw error;
+  });
+}
+
+/**
+ * Makes sure every confirmed Day 1 matched a month of the year.
+ */
+function checkConfirmationsUsed(result, confirmations) {
+  confirmations.forEach(({ monthNumber, date }) => {
+    const month = result.months.find(m => m.number === monthNumber);
+    if (!month) {
+      throw new CalendarError('MONTH_NOT_IN_YEAR',
+        `Month ${monthNumber} is not in biblical year ${result.year} (${result.months.length} months).`);
+    }
+    if (!month.confirmed) {
+      throw new CalendarError('DAY_ONE_MISMATCH',
+        `Day 1 ${date} is too far from the new moon of Month ${monthNumber} (${month.conjunction.toISOString()}).`);
+    }
+  });
+}
+
+/**
+ * Reads custom observances from a JSON file, refusing the file if any are invalid.
+ */
+function readObservances(file) {
+  let result;
+  try {
+    result = parseObservances(readFileSync(file, 'utf8'), FEASTS);
+  } catch (error) {
+    throw new CalendarError('INVALID_OBSERVANCE', `${file}: ${error.message}`);
+  }
+  if (result.problems.length) {
+    throw new CalendarError('INVALID_OBSERVANCE', `${file}: ${result.problems.join(' ')}`);
+  }
+  return result.observances;
+}
+
+// =============================================
+// OUTPUT FORMATS
+// =============================================
+
+/**
+ * Lines up rows of text in columns.
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+/**
+ * One line on how the year lines up with the Rabbinic calendar.
+ */
+function describeRabbinicYear(rabbinic) {
+  const flags = [];
+  if (rabbinic.monthApart) flags.push(`Month 1 is ${rabbinic.nisanOffsetDays} days from 1 Nisan`);
+  if (rabbinic.leapDisagrees) {
+    flags.push(`the Rabbinic year ${rabbinic.hebrewYear + 1} is ${rabbinic.rabbinicLeap ? 'a leap year' : 'a common year'}`);
+  }
+  return flags.length
+    ? `Rabbinic calendar (${rabbinic.hebrewYear}): months are numbered differently – ${flags.join('; ')}.`
+    : `Rabbinic calendar (${rabbinic.hebrewYear}): month numbering agrees.`;
+}
+
+function toTable(result) {
+  const { year, months, feasts, eclipses, authority, observer, sunsetConvention, reckoning } = result;
+  const lastMonth = months[months.length - 1];
+
+  const monthRows = months.map(month => [
+    month.number,
+    toDateString(month.dayOne),
+    month.length,
+    month.confirmed ? 'confirmed' : 'predicted',
+    month.conjunction.toISOString().slice(0, 16).replace('T', ' ') + ' UTC'
+  ]);
+  const feastRows = feasts.map(feast => [
+    toDateString(feast.date),
+    feast.name,
+    formatSundown(feast.start, observer.timeZone) + (feast.estimated ? ' *' : ''),
+    feast.highSabbath ? 'High Sabbath' : '',
+    feast.tentative ? 'tentative' : 'confirmed',
+    feast.rabbinic ? `${toDateString(feast.rabbinic.date)} (${feast.rabbinic.difference > 0 ? '+' : ''}${feast.rabbinic.difference})` : '–'
+  ]);
+  const eclipseRows = eclipses.map(eclipse => [
+    eclipse.date.toISOString().slice(0, 16).replace('T', ' ') + ' UTC',
+    describeEclipse(eclipse),
+    eclipse.month,
+    describeLocalCircumstances(eclipse, eclipse.local)
+  ]);
+
+  return [
+    `Biblical Year ${year}–${year + 1}: ${months.length} months, ` +
+      `${toDateString(months[0].dayOne)} to ${toDateString(addDays(lastMonth.dayOne, lastMonth.length - 1))}`,
+    `Months by the sighting at ${authority.name}; days end at ${sunsetConvention} in ${observer.name}.`,
+    `Wave Sheaf reckoning: ${RECKONINGS[reckoning].name}.`,
+    '',
+    formatTable(['Month', 'Day 1', 'Days', 'Status', 'New moon'], monthRows),
+    '',
+    formatTable(['Date', 'Feast', 'Begins at sundown', 'Kind', 'Status', 'Rabbinic (days)'], feastRows),
+    ...(feasts.some(feast => feast.estimated)
+      ? [`* No ${sunsetConvention} in ${observer.name} on these dates: the days end at 18:00 local mean time.`]
+      : []),
+    '',
+    eclipseRows.length
+      ? formatTable(['Greatest eclipse', 'Eclipse', 'Month', `From ${observer.name}`], eclipseRows)
+      : 'No eclipses this year.',
+    '',
+    describeRabbinicYear(result.rabbinic)
+  ].join('\n') + '\n';
+}
+
+function toJson(result) {
+  const { year, months, feasts, sabbaths, authority, observer, sunsetConvention, reckoning, biblicalYear } = result;
+  return JSON.stringify({
+    year,
+    authority,
+    observer,
+    sunsetConvention,
+    reckoning,
+    intercalated: biblicalYear.intercalated,
+    months: months.map(month => ({
+      number: month.number,
+      conjunction: month.conjunction,
+      dayOne: toDateString(month.dayOne),
+      length: month.length,
+      confirmed: Boolean(month.confirmed)
+    })),
+    rabbinic: result.rabbinic,
+    feasts: feasts.map(({ date, rabbinic, ...feast }) => ({
+      ...feast,
+      date: toDateString(date),
+      rabbinic: rabbinic && { ...rabbinic, date: toDateString(rabbinic.date) }
+    })),
+    sabbaths: sabbaths.map(({ date, ...sabbath }) => ({ ...sabbath, date: toDateString(date) })),
+    eclipses: result.eclipses
+  }, null, 2) + '\n';
+}
+
+function toCsv(result) {
+  const quote = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+  const rows = result.feasts.map(feast => [
+    toDateString(feast.date),
+    feast.name,
+    feast.month,
+    typeof feast.day === 'number' ? feast.day : '',
+    feast.start.toISOString(),
+    feast.end.toISOString(),
+    feast.highSabbath,
+    feast.tentative,
+    feast.rabbinic ? toDateString(feast.rabbinic.date) : '',
+    feast.rabbinic ? feast.rabbinic.difference : '',
+    feast.estimated
+  ]);
+  const header = ['date', 'name', 'month', 'day', 'start', 'end', 'high_sabbath', 'tentative', 'rabbinic_date', 'rabbinic_difference',
+    'estimated_sundown'];
+  return [header, ...rows].map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
+
+function toICalendar(result) {
+  return buildICalendar(result.feasts, result.year, {
+    calendarName: `Karaite Messianic Feasts ${result.year}–${result.year + 1}`
+  });
+}
+
+const WRITERS = { table: toTable, json: toJson, csv: toCsv, ics: toICalendar };
+
+// =============================================
+// MAIN
+// =============================================
+
+function main(args) {
+  const options = parseCommandLine(args);
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (options.cities) {
+    console.log(formatTable(['Id', 'City', 'Time zone'],
+      GAZETTEER.map(city => [city.id, `${city.name}, ${city.country}`, city.timeZone])));
+    return;
+  }
+
+  const calendar = options.data
+    ? importCalendarBackup(readFileSync(options.data, 'utf8')).calendar
+    : createEmptyCalendar();
+  applyConfirmations(calendar, options.year, options.confirmations);
+  if (options.observances) {
+    calendar.settings.observances = readObservances(options.observances);
+  }
+
+  const result = computeYear({
+    year: options.year,
+    calendar,
+    authority: options.authority,
+    observer: options.observer,
+    sunsetConvention: options.sunset,
+    intercalate: options.intercalate,
+    reckoning: options.reckoning
+  });
+  checkConfirmationsUsed(result, options.confirmations);
+
+  const output = WRITERS[options.format](result);
+  if (options.output) {
+    writeFileSync(options.output, output);
+    console.error(`Wrote ${result.feasts.length} feasts to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  const usage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+  console.error(`Error: ${error.message.replace(/\n\n/g, ' ')}`);
+  if (usage) console.error('Run with --help for usage.');
+  process.exitCode = usage ? 2 : 1;
+}
@@ -0,0 +1,163 @@
+/*
+ * ===================================
+ * conjunction.js
+ * * Astronomical new moons (sun-moon conjunctions) from
+ * * Meeus' series, "Astronomical Algorithms" chapter 49,
+ * * converted from Dynamical Time to UTC with ΔT.
+ * * Accurate to well under a minute for 1900-2100.
+ * ===================================
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JD_UNIX_EPOCH = 2440587.5;
+const LUNATIONS_PER_YEAR = 12.3685;
+const RAD = Math.PI / 180;
+
+// Periodic terms for the new moon: [coefficient, power of E, M, M', F, Ω multipliers]
+const NEW_MOON_TERMS = [
+  [-0.40720, 0, 0, 1, 0, 0],
+  [0.17241, 1, 1, 0, 0, 0],
+  [0.01608, 0, 0, 2, 0, 0],
+  [0.01039, 0, 0, 0, 2, 0],
+  [0.00739, 1, -1, 1, 0, 0],
+  [-0.00514, 1, 1, 1, 0, 0],
+  [0.00208, 2, 2, 0, 0, 0],
+  [-0.00111, 0, 0, 1, -2, 0],
+  [-0.00057, 0, 0, 1, 2, 0],
+  [0.00056, 1, 1, 2, 0, 0],
+  [-0.00042, 0, 0, 3, 0, 0],
+  [0.00042, 1, 1, 0, 2, 0],
+  [0.00038, 1, 1, 0, -2, 0],
+  [-0.00024, 1, -1, 2, 0, 0],
+  [-0.00017, 0, 0, 0, 0, 1],
+  [-0.00007, 0, 2, 1, 0, 0],
+  [0.00004, 0, 0, 2, -2, 0],
+  [0.00004, 0, 3, 0, 0, 0],
+  [0.00003, 0, 1, 1, -2, 0],
+  [0.00003, 0, 0, 2, 2, 0],
+  [-0.00003, 0, 1, 1, 2, 0],
+  [0.00003, 0, -1, 1, 2, 0],
+  [-0.00002, 0, -1, 1, -2, 0],
+  [-0.00002, 0, 1, 3, 0, 0],
+  [0.00002, 0, 0, 4, 0, 0]
+];
+
+// Planetary arguments: [coefficient, base (°), per lunation (°)]
+const PLANETARY_TERMS = [
+  [0.000325, 299.77, 0.107408],
+  [0.000165, 251.88, 0.016321],
+  [0.000164, 251.83, 26.651886],
+  [0.000126, 349.42, 36.412478],
+  [0.000110, 84.66, 18.206239],
+  [0.000062, 141.74, 53.303771],
+  [0.000060, 207.14, 2.453732],
+  [0.000056, 154.84, 7.306860],
+  [0.000047, 34.52, 27.261239],
+  [0.000042, 207.19, 0.121824],
+  [0.000040, 291.34, 1.844379],
+  [0.000037, 161.72, 24.198154],
+  [0.000035, 239.56, 25.513099],
+  [0.000023, 331.55, 3.592518]
+];
+
+/**
+ * ΔT (Dynamical Time minus UT) in seconds for a decimal year.
+ * Espenak & Meeus polynomials, NASA Five Millennium Canon of Solar Eclipses.
+ */
+export function getDeltaT(year) {
+  let t;
+  if (year >= 1900 && year < 1920) {
+    t = year - 1900;
+    return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+  }
+  if (year >= 1920 && year < 1941) {
+    t = year - 1920;
+    return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+  }
+  if (year >= 1941 && year < 1961) {
+    t = year - 1950;
+    return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+  }
+  if (year >= 1961 && year < 1986) {
+    t = year - 1975;
+    return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+  }
+  if (year >= 1986 && year < 2005) {
+    t = year - 2000;
+    return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (year >= 2005 && year < 2050) {
+    t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+  }
+  const u = (year - 1820) / 100;
+  if (year >= 2050 && year < 2150) {
+    return -20 + 32 * u ** 2 - 0.5628 * (2150 - year);
+  }
+  return -20 + 32 * u ** 2;
+}
+
+/**
+ * The Julian Ephemeris Day of new moon number `k`
+ * (k = 0 is the new moon of 2000 January 6).
+ */
+export function getNewMoonJDE(k) {
+  const T = k / 1236.85;
+  let jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * T ** 2 - 0.000000150 * T ** 3 + 0.00000000073 * T ** 4;
+
+  // Eccentricity of Earth's orbit, and the sun's and moon's arguments
+  const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+  const M = (2.5534 + 29.10535670 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3) * RAD;
+  const Mp = (201.5643 + 385.81693528 * k + 0.0107582 * T ** 2 + 0.00001238 * T ** 3 - 0.000000058 * T ** 4) * RAD;
+  const F = (160.7108 + 390.67050284 * k - 0.0016118 * T ** 2 - 0.00000227 * T ** 3 + 0.000000011 * T ** 4) * RAD;
+  const Omega = (124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3) * RAD;
+
+  NEW_MOON_TERMS.forEach(([coefficient, ePower, m, mp, f, omega]) => {
+    jde += coefficient * E ** ePower * Math.sin(m * M + mp * Mp + f * F + omega * Omega);
+  });
+
+  PLANETARY_TERMS.forEach(([coefficient, base, perLunation], index) => {
+    const extra = index === 0 ? -0.009173 * T ** 2 : 0;
+    jde += coefficient * Math.sin((base + perLunation * k + extra) * RAD);
+  });
+
+  return jde;
+}
+
+/**
+ * New moon number `k` as a UTC Date.
+ */
+export function getNewMoon(k) {
+  const jde = getNewMoonJDE(k);
+  const year = 2000 + k / LUNATIONS_PER_YEAR;
+  return new Date((jde - JD_UNIX_EPOCH) * DAY_MS - getDeltaT(year) * 1000);
+}
+
+/**
+ * The approximate lunation number of a date (fractional).
+ */
+function getLunationEstimate(date) {
+  const year = 1970 + date.getTime() / (365.2425 * DAY_MS);
+  return (year - 2000) * LUNATIONS_PER_YEAR;
+}
+
+/**
+ * Finds the first astronomical new moon after a date.
+ */
+export function findNextNewMoon(after) {
+  let k = Math.floor(getLunationEstimate(after)) - 1;
+  while (getNewMoon(k) <= after) {
+    k += 1;
+  }
+  return getNewMoon(k);
+}
+
+/**
+ * Finds the astronomical new moon closest to a date (before or after it).
+ */
+export function findNewMoonNearest(date) {
+  const k = Math.round(getLunationEstimate(date));
+  return [k - 1, k, k + 1]
+    .map(getNewMoon)
+    .reduce((best, moon) => (Math.abs(moon - date) < Math.abs(best - date) ? moon : best));
+}
@@ -0,0 +1,204 @@
+/*
+ * ===================================
+ * constellationLayer.js
+ * * The constellations in the sky view: figures, dashed
+ * * IAU boundaries and names, turned to the local sky,
+ * * with the constellations holding the sun and moon
+ * * picked out in their own colours. Each part can be
+ * * switched on and off.
+ * ===================================
+ */
+
+import * as THREE from 'three';
+import { toHorizontal, horizontalToVector } from './skyCoordinates.js';
+
+const RAD = Math.PI / 180;
+
+// Boundaries run along parallels of declination, so long edges are split
+// into steps no longer than this to keep them curved
+const BOUNDARY_STEP = 1 * RAD;
+
+const COLORS = {
+  figure: 0x58a6ff,
+  boundary: 0x8b949e,
+  name: 'rgba(88, 166, 255, 0.75)',
+  sun: '#f0b429',
+  moon: '#e6edf3'
+};
+
+/**
+ * The figures' lines as pairs of { ra, dec } (radians), one pair per segment.
+ */
+function figureSegments(figures) {
+  const points = [];
+  figures.forEach(({ lines }) => lines.forEach(line => {
+    for (let i = 0; i < line.length - 1; i++) {
+      points.push(line[i], line[i + 1]);
+    }
+  }));
+  return points.map(([ra, dec]) => ({ ra: ra * RAD, dec: dec * RAD }));
+}
+
+/**
+ * The boundaries' edges as pairs of { ra, dec } (radians), split into short steps.
+ */
+function boundarySegments(boundaries) {
+  const points = [];
+  boundaries.forEach(({ rings }) => rings.forEach(ring => {
+    for (let i = 0; i < ring.length; i++) {
+      const [ra1, dec1] = ring[i].map(angle => angle * RAD);
+      const [ra2, dec2] = ring[(i + 1) % ring.length].map(angle => angle * RAD);
+      const span = ((ra2 - ra1) % (2 * Math.PI) + 3 * Math.PI) % (2 * Math.PI) - Math.PI;
+      const steps = Math.ceil(Math.max(Math.abs(span) * Math.cos((dec1 + dec2) / 2), Math.abs(dec2 - dec1)) / BOUNDARY_STEP);
+      for (let step = 0; step < steps; step++) {
+        points.push(
+          { ra: ra1 + span * step / steps, dec: dec1 + (dec2 - dec1) * step / steps },
+          { ra: ra1 + span * (step + 1) / steps, dec: dec1 + (dec2 - dec1) * (step + 1) / steps });
+      }
+    }
+  }));
+  return points;
+}
+
+/**
+ * Empty line segments to be filled in by placeSegments.
+ */
+function createLines(color, { dashed = false, opacity = 0.35 } = {}) {
+  const material = dashed
+    ? new THREE.LineDashedMaterial({ color, dashSize: 3, gapSize: 3, opacity, transparent: true })
+    : new THREE.LineBasicMaterial({ color, opacity, transparent: true });
+  const lines = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+  lines.userData.points = [];
+  lines.frustumCulled = false;
+  return lines;
+}
+
+/**
+ * Builds the layer. Returns { group, setData, setHighlights, setVisible,
+ * update, drawNames }; add `group` to the scene.
+ */
+export function createConstellationLayer({ radius = 499 } = {}) {
+  const group = new THREE.Group();
+  const figures = createLines(COLORS.figure);
+  const boundaries = createLines(COLORS.boundary, { dashed: true, opacity: 0.3 });
+  const highlights = {
+    sun: { figure: createLines(COLORS.sun, { opacity: 0.9 }), boundary: createLines(COLORS.sun, { dashed: true, opacity: 0.8 }) },
+    moon: { figure: createLines(COLORS.moon, { opacity: 0.9 }), boundary: createLines(COLORS.moon, { dashed: true, opacity: 0.8 }) }
+  };
+  group.add(figures, boundaries, ...Object.values(highlights).flatMap(({ figure, boundary }) => [figure, boundary]));
+
+  let data = { figures: [], boundaries: [], names: [] };
+  let names = []; // { id, name, position, altitude }
+  let highlighted = { sun: null, moon: null };
+  const visible = { lines: true, boundaries: true, names: true };
+  let sky = null; // The latitude, sidereal time and brightness last drawn for
+
+  /**
+   * Turns segment end points to the local sky.
+   */
+  function placeSegments(lines) {
+    const { points } = lines.userData;
+    const positions = new Float32Array(points.length * 3);
+    points.forEach((point, i) => {
+      const { altitude, azimuth } = toHorizontal(point.ra, point.dec, sky.lat, sky.lst);
+      const { x, y, z } = horizontalToVector(altitude, azimuth, radius);
+      positions.set([x, y, z], i * 3);
+    });
+    lines.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    if (lines.material.isLineDashedMaterial) lines.computeLineDistances();
+  }
+
+  /**
+   * Rebuilds the picked-out figures and boundaries.
+   */
+  function refreshHighlights() {
+    Object.entries(highlights).forEach(([body, { figure, boundary }]) => {
+      const id = highlighted[body];
+      figure.userData.points = figureSegments(data.figures.filter(item => item.id === id));
+      boundary.userData.points = boundarySegments(data.boundaries.filter(item => item.id === id));
+      figure.visible = visible.lines;
+      boundary.visible = visible.boundaries;
+      if (sky) {
+        placeSegments(figure);
+        placeSegments(boundary);
+      }
+    });
+  }
+
+  /**
+   * Sets the constellation data, as read by parseConstellationLines,
+   * parseConstellationBoundaries and parseConstellationNames (any may be
+   * left out while it is not loaded).
+   */
+  function setData({ figures: figureData = [], boundaries: boundaryData = [], names: nameData = [] }) {
+    data = { figures: figureData, boundaries: boundaryData, names: nameData };
+    figures.userData.points = figureSegments(figureData);
+    boundaries.userData.points = boundarySegments(boundaryData);
+    names = nameData.map(item => ({ ...item, position: new THREE.Vector3(), altitude: 0 }));
+    refreshHighlights();
+    if (sky) update(sky.lat, sky.lst, sky);
+  }
+
+  /**
+   * Picks out the constellations holding the sun and the moon (IAU
+   * abbreviations, or null).
+   */
+  function setHighlights({ sun = null, moon = null }) {
+    if (sun === highlighted.sun && moon === highlighted.moon) return;
+    highlighted = { sun, moon };
+    refreshHighlights();
+  }
+
+  /**
+   * Shows or hides the figures, boundaries and names.
+   */
+  function setVisible(parts) {
+    Object.assign(visible, parts);
+    figures.visible = visible.lines;
+    boundaries.visible = visible.boundaries;
+    refreshHighlights();
+  }
+
+  /**
+   * Turns everything to the sky at latitude `lat` and local sidereal time
+   * `lst` (radians). `brightness` (0 to 1) fades the figures and boundaries
+   * in a bright sky.
+   */
+  function update(lat, lst, { brightness = 1 } = {}) {
+    sky = { lat, lst, brightness };
+    figures.material.opacity = 0.35 * brightness;
+    boundaries.material.opacity = 0.3 * brightness;
+    [figures, boundaries, ...Object.values(highlights).flatMap(({ figure, boundary }) => [figure, boundary])]
+      .forEach(placeSegments);
+    names.forEach(item => {
+      const { altitude, azimuth } = toHorizontal(item.ra * RAD, item.dec * RAD, lat, lst);
+      const { x, y, z } = horizontalToVector(altitude, azimuth, radius);
+      item.position.set(x, y, z);
+      item.altitude = altitude;
+    });
+  }
+
+  /**
+   * Writes the names of the constellations above the horizon on a 2D
+   * canvas context laid over `canvas`, the sun's and moon's in their colours.
+   */
+  function drawNames(context, camera, canvas) {
+    if (!visible.names) return;
+    const projected = new THREE.Vector3();
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    names.forEach(({ id, name, position, altitude }) => {
+      if (altitude <= 0) return;
+      projected.copy(position).project(camera);
+      if (projected.z > 1 || Math.abs(projected.x) > 1 || Math.abs(projected.y) > 1) return;
+      const body = id === highlighted.sun ? 'sun' : id === highlighted.moon ? 'moon' : null;
+      context.font = `${body ? 'bold ' : ''}11px sans-serif`;
+      context.fillStyle = body ? COLORS[body] : COLORS.name;
+      context.fillText(name.toUpperCase(),
+        (projected.x + 1) / 2 * canvas.clientWidth, (1 - projected.y) / 2 * canvas.clientHeight);
+    });
+    context.textAlign = 'start';
+  }
+
+  return { group, setData, setHighlights, setVisible, update, drawNames };
+}
@@ -0,0 +1,197 @@
+/*
+ * ===================================
+ * constellations.js
+ * * The 88 IAU constellations: their figures, names and
+ * * official boundaries, and which one a point of the
+ * * sky lies in. The data is J2000 GeoJSON from
+ * * d3-celestial by Olaf Frohn (BSD licence):
+ * * constellations.lines.json (figures),
+ * * constellations.bounds.json (boundaries) and
+ * * constellations.json (names and label positions).
+ * * Right ascension and declination are in degrees
+ * * (right ascension may be given as -180..180, as in
+ * * the GeoJSON, or 0..360).
+ * ===================================
+ */
+
+export const CONSTELLATION_NAMES = {
+  And: 'Andromeda', Ant: 'Antlia', Aps: 'Apus', Aqr: 'Aquarius', Aql: 'Aquila', Ara: 'Ara',
+  Ari: 'Aries', Aur: 'Auriga', Boo: 'Boötes', Cae: 'Caelum', Cam: 'Camelopardalis', Cnc: 'Cancer',
+  CVn: 'Canes Venatici', CMa: 'Canis Major', CMi: 'Canis Minor', Cap: 'Capricornus', Car: 'Carina',
+  Cas: 'Cassiopeia', Cen: 'Centaurus', Cep: 'Cepheus', Cet: 'Cetus', Cha: 'Chamaeleon', Cir: 'Circinus',
+  Col: 'Columba', Com: 'Coma Berenices', CrA: 'Corona Australis', CrB: 'Corona Borealis', Crv: 'Corvus',
+  Crt: 'Crater', Cru: 'Crux', Cyg: 'Cygnus', Del: 'Delphinus', Dor: 'Dorado', Dra: 'Draco',
+  Equ: 'Equuleus', Eri: 'Eridanus', For: 'Fornax', Gem: 'Gemini', Gru: 'Grus', Her: 'Hercules',
+  Hor: 'Horologium', Hya: 'Hydra', Hyi: 'Hydrus', Ind: 'Indus', Lac: 'Lacerta', Leo: 'Leo',
+  LMi: 'Leo Minor', Lep: 'Lepus', Lib: 'Libra', Lup: 'Lupus', Lyn: 'Lynx', Lyr: 'Lyra',
+  Men: 'Mensa', Mic: 'Microscopium', Mon: 'Monoceros', Mus: 'Musca', Nor: 'Norma', Oct: 'Octans',
+  Oph: 'Ophiuchus', Ori: 'Orion', Pav: 'Pavo', Peg: 'Pegasus', Per: 'Perseus', Phe: 'Phoenix',
+  Pic: 'Pictor', Psc: 'Pisces', PsA: 'Piscis Austrinus', Pup: 'Puppis', Pyx: 'Pyxis', Ret: 'Reticulum',
+  Sge: 'Sagitta', Sgr: 'Sagittarius', Sco: 'Scorpius', Scl: 'Sculptor', Sct: 'Scutum', Ser: 'Serpens',
+  Sex: 'Sextans', Tau: 'Taurus', Tel: 'Telescopium', Tri: 'Triangulum', TrA: 'Triangulum Australe',
+  Tuc: 'Tucana', UMa: 'Ursa Major', UMi: 'Ursa Minor', Vel: 'Vela', Vir: 'Virgo', Vol: 'Volans',
+  Vul: 'Vulpecula'
+};
+
+// The difference between two right ascensions, in -180..180
+function raDifference(to, from) {
+  return ((to - from) % 360 + 540) % 360 - 180;
+}
+
+/**
+ * Checks that a value is a point, [right ascension, declination] in degrees.
+ */
+function checkPoint(point, label) {
+  if (!Array.isArray(point) || !Number.isFinite(point[0]) || !Number.isFinite(point[1]) || Math.abs(point[1]) > 90) {
+    throw new Error(`${label}: every point must be [right ascension, declination] in degrees.`);
+  }
+  return point;
+}
+
+/**
+ * Checks a list of points with at least `minimum` of them.
+ */
+function checkPoints(points, minimum, what, label) {
+  if (!Array.isArray(points) || points.length < minimum) {
+    throw new Error(`${label}: ${what} needs at least ${minimum} points.`);
+  }
+  points.forEach(point => checkPoint(point, label));
+  return points;
+}
+
+/**
+ * Checks a GeoJSON FeatureCollection whose features are identified by IAU
+ * abbreviation and have one of `types` of geometry. Returns the features
+ * with a label for messages, e.g. "Constellation figure Ori".
+ */
+function readFeatures(data, { collection, feature, types }) {
+  if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error(`${collection} must be a GeoJSON FeatureCollection.`);
+  }
+  return data.features.map((item, index) => {
+    const label = `${feature} ${item?.id ?? `#${index + 1}`}`;
+    if (!CONSTELLATION_NAMES[item?.id]) {
+      throw new Error(`${label}: "id" must be an IAU constellation abbreviation.`);
+    }
+    if (!types.includes(item.geometry?.type)) {
+      throw new Error(`${label}: geometry must be a ${types.join(' or ')}.`);
+    }
+    return { id: item.id, label, properties: item.properties ?? {}, geometry: item.geometry };
+  });
+}
+
+/**
+ * The constellation figures from constellations.lines.json (MultiLineString
+ * features): [{ id, lines }], each line a list of [right ascension,
+ * declination] in degrees. Throws an Error naming the first malformed figure.
+ */
+export function parseConstellationLines(data) {
+  return readFeatures(data, {
+    collection: 'Constellation figures',
+    feature: 'Constellation figure',
+    types: ['MultiLineString']
+  }).map(({ id, label, geometry }) => {
+    if (!Array.isArray(geometry.coordinates)) throw new Error(`${label}: "coordinates" must be a list of lines.`);
+    return { id, lines: geometry.coordinates.map(line => checkPoints(line, 2, 'a line', label)) };
+  });
+}
+
+/**
+ * The constellation names from constellations.json (a Point feature for
+ * each, where its name is written): [{ id, name, genitive, rank, ra, dec }],
+ * with rank 1 for the most prominent constellations to 3 for the faintest.
+ * Serpens has two, one for each part. Throws an Error naming the first
+ * malformed entry.
+ */
+export function parseConstellationNames(data) {
+  return readFeatures(data, {
+    collection: 'Constellation names',
+    feature: 'Constellation name',
+    types: ['Point']
+  }).map(({ id, label, properties, geometry }) => {
+    const [ra, dec] = checkPoint(geometry.coordinates, label);
+    return {
+      id,
+      name: typeof properties.name === 'string' && properties.name ? properties.name : CONSTELLATION_NAMES[id],
+      genitive: properties.gen ?? null,
+      rank: Number(properties.rank) || 3,
+      ra,
+      dec
+    };
+  });
+}
+
+/**
+ * The constellation boundaries from constellations.bounds.json (Polygon or
+ * MultiPolygon features): [{ id, rings }], each ring a closed list of
+ * [right ascension, declination] in degrees. Throws an Error naming the
+ * first malformed boundary.
+ */
+export function parseConstellationBoundaries(data) {
+  return readFeatures(data, {
+    collection: 'Constellation boundaries',
+    feature: 'Constellation boundary',
+    types: ['Polygon', 'MultiPolygon']
+  }).map(({ id, label, geometry }) => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (!Array.isArray(polygons)) throw new Error(`${label}: "coordinates" must be a list of polygons.`);
+    // Only the outer ring of each polygon; the boundaries have no holes
+    return { id, rings: polygons.map(polygon => checkPoints(polygon?.[0], 3, 'a boundary', label)) };
+  });
+}
+
+/**
+ * Notes whether a boundary ring goes around the north celestial pole (as
+ * Ursa Minor's does).
+ */
+function prepareRing(coordinates) {
+  // A ring around a pole turns through 360° of right ascension
+  let turn = 0;
+  for (let i = 0, j = coordinates.length - 1; i < coordinates.length; j = i++) {
+    turn += raDifference(coordinates[i][0], coordinates[j][0]);
+  }
+  const meanDec = coordinates.reduce((sum, [, dec]) => sum + dec, 0) / coordinates.length;
+  return { points: coordinates, containsNorthPole: Math.abs(turn) > 180 && meanDec > 0 };
+}
+
+/**
+ * Even-odd test along the point's meridian: each boundary edge crossed on
+ * the way north to the pole moves in or out of the constellation.
+ */
+function ringContains(ring, ra, dec) {
+  let inside = ring.containsNorthPole;
+  const points = ring.points;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [raI, decI] = points[i];
+    const [raJ, decJ] = points[j];
+    const span = raDifference(raJ, raI);
+    const offset = raDifference(ra, raI);
+    if ((offset >= 0) !== (offset - span >= 0) &&
+        decI + (decJ - decI) * offset / span > dec) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Builds a locator from the boundaries GeoJSON (a FeatureCollection of
+ * Polygon features whose `id` is the IAU abbreviation, e.g. "Oph"), or
+ * from boundaries already read by parseConstellationBoundaries.
+ * Throws an Error naming the first malformed feature.
+ */
+export function createConstellationLocator(bounds) {
+  const regions = (Array.isArray(bounds) ? bounds : parseConstellationBoundaries(bounds))
+    .map(({ id, rings }) => ({ id, rings: rings.map(prepareRing) }));
+
+  return {
+    /**
+     * The abbreviation of the constellation containing a J2000 position, or
+     * null if it falls in none (only possible with incomplete boundaries).
+     */
+    find(ra, dec) {
+      const region = regions.find(({ rings }) => rings.some(ring => ringContains(ring, ra, dec)));
+      return region ? region.id : null;
+    }
+  };
+}
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/*
+ * ===================================
+ * convertStars.js
+ * * Converts a JSON star catalog (a list of { ra in hours,
+ * * dec, mag, ci, hr, proper, bf }, as the HYG database
+ * * gives them) into the packed stars.bin the page loads
+ * * (see starCatalog.js). Other fields are dropped.
+ * *
+ * *   node convertStars.js hyg-stars.json stars.bin [--tiers 3.5,5,6.5]
+ * ===================================
+ */
+
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { encodeStarCatalog, decodeStarCatalogHeader, DEFAULT_TIERS } from './starCatalog.js';
+
+try {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      tiers: { type: 'string', short: 't', default: DEFAULT_TIERS.join(',') }
+    }
+  });
+  const [input, output = 'stars.bin'] = positionals;
+  if (!input) {
+    console.error('Usage: node convertStars.js <stars.json> [stars.bin] [--tiers 3.5,5,6.5]');
+    process.exit(2);
+  }
+
+  const tiers = values.tiers.split(',').map(Number);
+  const packed = encodeStarCatalog(JSON.parse(readFileSync(input, 'utf8')), { tiers });
+  writeFileSync(output, packed);
+
+  const { count, tiers: written } = decodeStarCatalogHeader(packed.buffer);
+  console.error(`Wrote ${count} stars (${packed.length} bytes) to ${output}:`);
+  written.forEach(tier => {
+    console.error(`  to magnitude ${tier.faintest.toFixed(1)}: ${tier.count} stars, ${tier.length} bytes`);
+  });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = error.code?.startsWith('ERR_PARSE_ARGS') ? 2 : 1;
+}
@@ -0,0 +1,269 @@
+/*
+ * ===================================
+ * eclipses.js
+ * * Solar eclipses at new moons and lunar eclipses at
+ * * full moons, from how near the moon is to its node
+ * * (Meeus, "Astronomical Algorithms" chapter 54),
+ * * and how each one looks from a given place.
+ * ===================================
+ */
+
+import * as SunCalc from './suncalc.js';
+import { getDeltaT } from './conjunction.js';
+import { localSiderealTime, toHorizontal } from './skyCoordinates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const JD_UNIX_EPOCH = 2440587.5;
+const LUNATIONS_PER_YEAR = 12.3685;
+const SYNODIC_MONTH_DAYS = 29.530588861;
+const RAD = Math.PI / 180;
+
+export const ECLIPSE_TYPES = {
+  total: 'Total',
+  annular: 'Annular',
+  hybrid: 'Hybrid (annular-total)',
+  partial: 'Partial',
+  penumbral: 'Penumbral'
+};
+
+/**
+ * The eclipse at lunation `k`, if there is one: a whole k is a new moon
+ * (solar eclipse), k + 0.5 a full moon (lunar eclipse). k = 0 is the new
+ * moon of 2000 January 6. Returns null when the moon is too far from its node.
+ *
+ * Returns { kind: 'solar'|'lunar', type (see ECLIPSE_TYPES), date (greatest
+ * eclipse, UTC), gamma, magnitude }, and for a lunar eclipse the start and
+ * end of its penumbral, partial and total phases (null if it has none).
+ */
+export function getEclipse(k) {
+  const solar = Number.isInteger(k);
+  const T = k / 1236.85;
+
+  // The moon's argument of latitude: no eclipse far from the node
+  const F = (160.7108 + 390.67050284 * k - 0.0016118 * T ** 2 - 0.00000227 * T ** 3 + 0.000000011 * T ** 4) * RAD;
+  if (Math.abs(Math.sin(F)) > 0.36) return null;
+
+  const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+  const M = (2.5534 + 29.10535670 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3) * RAD;
+  const Mp = (201.5643 + 385.81693528 * k + 0.0107582 * T ** 2 + 0.00001238 * T ** 3 - 0.000000058 * T ** 4) * RAD;
+  const Omega = (124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3) * RAD;
+  const F1 = F - 0.02665 * Math.sin(Omega) * RAD;
+  const A1 = (299.77 + 0.107408 * k - 0.009173 * T ** 2) * RAD;
+
+  // Time of greatest eclipse
+  const jde = 2451550.09766 + SYNODIC_MONTH_DAYS * k + 0.00015437 * T ** 2 - 0.000000150 * T ** 3 + 0.00000000073 * T ** 4
+    + (solar ? -0.4075 : -0.4065) * Math.sin(Mp) + 0.1727 * E * Math.sin(M)
+    + 0.0161 * Math.sin(2 * Mp) - 0.0097 * Math.sin(2 * F1) + 0.0073 * E * Math.sin(Mp - M)
+    - 0.0050 * E * Math.sin(Mp + M) - 0.0023 * Math.sin(Mp - 2 * F1) + 0.0021 * E * Math.sin(2 * M)
+    + 0.0012 * Math.sin(Mp + 2 * F1) + 0.0006 * E * Math.sin(2 * Mp + M) - 0.0004 * Math.sin(3 * Mp)
+    - 0.0003 * E * Math.sin(M + 2 * F1) + 0.0003 * Math.sin(A1) - 0.0002 * E * Math.sin(M - 2 * F1)
+    - 0.0002 * E * Math.sin(2 * Mp - M) - 0.0002 * Math.sin(Omega);
+
+  // gamma: the least distance of the moon's shadow axis from the earth's centre, in earth radii;
+  // u: the radius of the umbral cone in the fundamental plane
+  const P = 0.2070 * E * Math.sin(M) + 0.0024 * E * Math.sin(2 * M) - 0.0392 * Math.sin(Mp)
+    + 0.0116 * Math.sin(2 * Mp) - 0.0073 * E * Math.sin(Mp + M) + 0.0067 * E * Math.sin(Mp - M)
+    + 0.0118 * Math.sin(2 * F1);
+  const Q = 5.2207 - 0.0048 * E * Math.cos(M) + 0.0020 * E * Math.cos(2 * M) - 0.3299 * Math.cos(Mp)
+    - 0.0060 * E * Math.cos(Mp + M) + 0.0041 * E * Math.cos(Mp - M);
+  const W = Math.abs(Math.cos(F1));
+  const gamma = (P * Math.cos(F1) + Q * Math.sin(F1)) * (1 - 0.0048 * W);
+  const u = 0.0059 + 0.0046 * E * Math.cos(M) - 0.0182 * Math.cos(Mp) + 0.0004 * Math.cos(2 * Mp)
+    - 0.0005 * Math.cos(M + Mp);
+
+  const year = 2000 + k / LUNATIONS_PER_YEAR;
+  const date = new Date((jde - JD_UNIX_EPOCH) * DAY_MS - getDeltaT(year) * 1000);
+  const g = Math.abs(gamma);
+
+  if (solar) {
+    if (g > 1.5433 + u) return null;
+    let type = 'partial';
+    if (g < 0.9972 + Math.abs(u)) {
+      // Central (or touching the earth's edge): umbra or antumbra
+      if (u < 0) type = 'total';
+      else if (u > 0.0047) type = 'annular';
+      else type = u < 0.00464 * Math.sqrt(1 - Math.min(1, gamma ** 2)) ? 'hybrid' : 'annular';
+    }
+    const magnitude = type === 'partial' ? (1.5433 + u - g) / (0.5461 + 2 * u) : 1;
+    return { kind: 'solar', type, date, gamma, magnitude };
+  }
+
+  const penumbralMagnitude = (1.5573 + u - g) / 0.5450;
+  const umbralMagnitude = (1.0128 - u - g) / 0.5450;
+  if (penumbralMagnitude <= 0) return null;
+
+  // Half the length of each phase, in minutes
+  const n = 0.5458 + 0.0400 * Math.cos(Mp);
+  const halfLength = radius => (radius > g ? 60 / n * Math.sqrt(radius ** 2 - gamma ** 2) : 0);
+  const phase = radius => {
+    const half = halfLength(radius);
+    return half ? { start: new Date(date - half * MINUTE_MS), end: new Date(date.getTime() + half * MINUTE_MS) } : null;
+  };
+
+  return {
+    kind: 'lunar',
+    type: umbralMagnitude >= 1 ? 'total' : (umbralMagnitude > 0 ? 'partial' : 'penumbral'),
+    date,
+    gamma,
+    magnitude: umbralMagnitude > 0 ? umbralMagnitude : penumbralMagnitude,
+    penumbralMagnitude,
+    phases: {
+      penumbral: phase(1.5573 + u),
+      partial: phase(1.0128 - u),
+      total: phase(0.4678 - u)
+    }
+  };
+}
+
+/**
+ * The lunation number (a whole number: a new moon) nearest a date.
+ */
+function getLunationNear(date) {
+  return Math.round((date - Date.UTC(2000, 0, 6, 18, 14)) / (SYNODIC_MONTH_DAYS * DAY_MS));
+}
+
+/**
+ * All eclipses with greatest eclipse from `start` up to `end`, in order.
+ */
+export function findEclipsesBetween(start, end) {
+  const eclipses = [];
+  for (let k = getLunationNear(start) - 1; k <= getLunationNear(end) + 1; k += 0.5) {
+    const eclipse = getEclipse(k);
+    if (eclipse && eclipse.date >= start && eclipse.date < end) eclipses.push(eclipse);
+  }
+  return eclipses;
+}
+
+// Positions are computed in Dynamical Time, which runs ΔT seconds ahead of UTC
+function atDynamicalTime(date) {
+  const year = date.getUTCFullYear() + date.getUTCMonth() / 12;
+  return new Date(date.getTime() + getDeltaT(year) * 1000);
+}
+
+/**
+ * The topocentric right ascension and declination of the moon (Meeus 40.2
+ * and 40.3), i.e. shifted by parallax as seen from the place, and its
+ * distance from the place (nearer than from the earth's centre when it is
+ * high, which makes it look larger).
+ */
+function getTopocentricMoon(moon, lat, lst, elevation = 0) {
+  const flattening = 0.99664719;
+  const u = Math.atan(flattening * Math.tan(lat));
+  const rhoSin = flattening * Math.sin(u) + elevation / 6378140 * Math.sin(lat);
+  const rhoCos = Math.cos(u) + elevation / 6378140 * Math.cos(lat);
+  const sinParallax = 6378.14 / moon.distance;
+  const H = lst - moon.rightAscension;
+
+  const dRa = Math.atan2(-rhoCos * sinParallax * Math.sin(H), Math.cos(moon.declination) - rhoCos * sinParallax * Math.cos(H));
+  const dec = Math.atan2((Math.sin(moon.declination) - rhoSin * sinParallax) * Math.cos(dRa),
+    Math.cos(moon.declination) - rhoCos * sinParallax * Math.cos(H));
+  const distance = Math.hypot(
+    moon.distance * Math.cos(moon.declination) * Math.cos(H) - 6378.14 * rhoCos,
+    moon.distance * Math.cos(moon.declination) * Math.sin(H),
+    moon.distance * Math.sin(moon.declination) - 6378.14 * rhoSin);
+  return { rightAscension: moon.rightAscension + dRa, declination: dec, distance };
+}
+
+/**
+ * How much of the sun the moon covers from a place at a moment (0 when
+ * they do not overlap), and whether the sun is up.
+ */
+function getLocalSolarCoverage(date, location) {
+  const dynamical = atDynamicalTime(date);
+  const sun = SunCalc.getSunInfo(dynamical);
+  const lat = location.lat * RAD;
+  const lst = localSiderealTime(date, location.lon);
+  const moon = getTopocentricMoon(SunCalc.getMoonInfo(dynamical), lat, lst, location.elevation);
+
+  const separation = Math.acos(Math.min(1,
+    Math.sin(sun.declination) * Math.sin(moon.declination) +
+    Math.cos(sun.declination) * Math.cos(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension)));
+  // Semi-diameters (Meeus 55)
+  const sunRadius = 959.63 / 3600 * RAD / (sun.distance / 149597870.7);
+  const moonRadius = 358473400 / moon.distance / 3600 * RAD;
+
+  return {
+    magnitude: Math.max(0, (sunRadius + moonRadius - separation) / (2 * sunRadius)),
+    central: separation < Math.abs(sunRadius - moonRadius) ? (moonRadius > sunRadius ? 'total' : 'annular') : null,
+    sunUp: toHorizontal(sun.rightAscension, sun.declination, lat, lst).altitude > 0
+  };
+}
+
+/**
+ * How an eclipse looks from a place ({ lat, lon, elevation? } in degrees and metres).
+ *
+ * Solar: { visible, type, magnitude, start, maximum, end }, from the minute-by-
+ * minute overlap of the sun and the (parallax-shifted) moon while the sun is up;
+ * `type` is 'total' or 'annular' only inside the path of totality or annularity.
+ * Lunar: { visible, start, end, altitude }, where the eclipse is visible if the
+ * moon is up at any time during its partial (or, for a penumbral eclipse,
+ * penumbral) phase; `altitude` is the moon's altitude at greatest eclipse in degrees.
+ */
+export function getLocalCircumstances(eclipse, location) {
+  if (eclipse.kind === 'lunar') {
+    const { start, end } = eclipse.phases.partial ?? eclipse.phases.penumbral;
+    const moonUp = time => SunCalc.getMoonPosition(time, location.lat, location.lon).altitude > 0;
+    let visible = false;
+    for (let time = start.getTime(); time <= end.getTime() && !visible; time += 5 * MINUTE_MS) {
+      visible = moonUp(new Date(time));
+    }
+    visible ||= moonUp(end);
+    const altitude = SunCalc.getMoonPosition(eclipse.date, location.lat, location.lon).altitude / RAD;
+    return { visible, start, end, altitude };
+  }
+
+  // A solar eclipse lasts at most about 3½ hours either side of greatest eclipse
+  let start = null;
+  let end = null;
+  let best = { magnitude: 0 };
+  let maximum = null;
+  for (let time = eclipse.date - 3.5 * 60 * MINUTE_MS; time <= eclipse.date.getTime() + 3.5 * 60 * MINUTE_MS; time += MINUTE_MS) {
+    const coverage = getLocalSolarCoverage(new Date(time), location);
+    if (coverage.magnitude <= 0 || !coverage.sunUp) continue;
+    start ??= new Date(time);
+    end = new Date(time);
+    if (coverage.magnitude > best.magnitude) {
+      best = coverage;
+      maximum = new Date(time);
+    }
+  }
+
+  return {
+    visible: Boolean(maximum),
+    type: maximum ? best.central ?? 'partial' : null,
+    magnitude: best.magnitude,
+    start,
+    maximum,
+    end
+  };
+}
+
+/**
+ * The phase of a lunar eclipse at a moment ('penumbral', 'partial' or
+ * 'total'), or null outside it.
+ */
+export function getLunarEclipsePhase(eclipse, date) {
+  const phase = ['total', 'partial', 'penumbral']
+    .find(name => eclipse.phases[name] && date >= eclipse.phases[name].start && date <= eclipse.phases[name].end);
+  return phase ?? null;
+}
+
+/**
+ * A short description, e.g. "Total lunar eclipse".
+ */
+export function describeEclipse(eclipse) {
+  return `${ECLIPSE_TYPES[eclipse.type]} ${eclipse.kind} eclipse`;
+}
+
+/**
+ * How an eclipse looks from a place, in words (see getLocalCircumstances),
+ * e.g. "Partial, magnitude 0.84" or "Not visible".
+ */
+export function describeLocalCircumstances(eclipse, local) {
+  if (!local.visible) return 'Not visible';
+  if (eclipse.kind === 'solar') {
+    return local.type === 'partial' ? `Partial, magnitude ${local.magnitude.toFixed(2)}` : ECLIPSE_TYPES[local.type];
+  }
+  return local.altitude < 0 ? 'Partly visible (the moon is down at greatest eclipse)' : 'Visible';
+}
@@ -0,0 +1,338 @@
+/*
+ * ===================================
+ * feastRules.js
+ * * The rule format feasts and observances are defined
+ * * in, and the generic evaluator that dates them within
+ * * a year's months. A rule is one of:
+ * *
+ * *   { type: 'fixed', month, day }
+ * *   { type: 'range', month, day, days }            // e.g. 7 days of Sukkot
+ * *   { type: 'relative', to: <feast id>, days }     // e.g. Shavuot, 49 days after the Wave Sheaf
+ * *   { type: 'weekday-after', weekday, after, inclusive, within }
+ * *
+ * * `month` may be 'last' for the year's last month (12 or 13).
+ * * `after` is { month, day } or { feast: <id> }; weekday 0 is Sunday.
+ * * `weekday-after` finds the first such weekday after the anchor (or on it,
+ * * when `inclusive`), within `within` days (7 by default).
+ * ===================================
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RULE_TYPES = ['fixed', 'range', 'relative', 'weekday-after'];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function addDays(date, days) {
+  const newDate = new Date(date);
+  newDate.setDate(newDate.getDate() + days);
+  return newDate;
+}
+
+// =============================================
+// VALIDATION
+// =============================================
+
+function checkMonthDay(month, day, label) {
+  if (month !== 'last' && (!Number.isInteger(month) || month < 1 || month > 13)) {
+    throw new Error(`${label}: month must be 1-13 or "last".`);
+  }
+  if (!Number.isInteger(day) || day < 1 || day > 30) {
+    throw new Error(`${label}: day must be 1-30.`);
+  }
+}
+
+/**
+ * Checks a rule and returns a clean copy.
+ * Throws an Error with a readable message if it is not a valid rule.
+ */
+export function validateRule(rule, label = 'Rule') {
+  if (!rule || typeof rule !== 'object' || !RULE_TYPES.includes(rule.type)) {
+    throw new Error(`${label}: rule type must be one of: ${RULE_TYPES.join(', ')}.`);
+  }
+
+  switch (rule.type) {
+    case 'fixed':
+      checkMonthDay(rule.month, rule.day, label);
+      return { type: 'fixed', month: rule.month, day: rule.day };
+
+    case 'range':
+      checkMonthDay(rule.month, rule.day, label);
+      if (!Number.isInteger(rule.days) || rule.days < 1 || rule.days > 30) {
+        throw new Error(`${label}: a range must last 1-30 days.`);
+      }
+      return { type: 'range', month: rule.month, day: rule.day, days: rule.days };
+
+    case 'relative':
+      if (typeof rule.to !== 'string' || !rule.to) {
+        throw new Error(`${label}: a relative rule needs the id of the feast it counts from ("to").`);
+      }
+      if (!Number.isInteger(rule.days) || Math.abs(rule.days) > 400) {
+        throw new Error(`${label}: "days" must be a whole number of days.`);
+      }
+      return { type: 'relative', to: rule.to, days: rule.days };
+
+    default: { // 'weekday-after'
+      if (!Number.isInteger(rule.weekday) || rule.weekday < 0 || rule.weekday > 6) {
+        throw new Error(`${label}: weekday must be 0 (Sunday) to 6 (Saturday).`);
+      }
+      const after = rule.after || {};
+      if (after.feast !== undefined) {
+        if (typeof after.feast !== 'string' || !after.feast) {
+          throw new Error(`${label}: "after.feast" must be a feast id.`);
+        }
+      } else {
+        checkMonthDay(after.month, after.day, label);
+      }
+      const within = rule.within ?? 7;
+      if (!Number.isInteger(within) || within < 1 || within > 30) {
+        throw new Error(`${label}: "within" must be 1-30 days.`);
+      }
+      return {
+        type: 'weekday-after',
+        weekday: rule.weekday,
+        after: after.feast !== undefined ? { feast: after.feast } : { month: after.month, day: after.day },
+        inclusive: Boolean(rule.inclusive),
+        within
+      };
+    }
+  }
+}
+
+/**
+ * The ids a rule counts from.
+ */
+function dependenciesOf(rule) {
+  if (rule.type === 'relative') return [rule.to];
+  if (rule.type === 'weekday-after' && rule.after.feast) return [rule.after.feast];
+  return [];
+}
+
+/**
+ * Checks a user-defined observance and returns a clean copy.
+ * Throws an Error with a readable message if something is missing.
+ */
+export function createObservance({ id, name, rule, description = '', highSabbath = false }) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new Error(`Observance id "${id}" must be lowercase letters, digits and dashes.`);
+  }
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error(`Observance "${id}" needs a name.`);
+  }
+  if (typeof description !== 'string') {
+    throw new Error(`Observance "${id}": description must be text.`);
+  }
+  return {
+    id,
+    name: name.trim(),
+    rule: validateRule(rule, `Observance "${id}"`),
+    description: description.trim(),
+    highSabbath: highSabbath === true,
+    custom: true
+  };
+}
+
+/**
+ * Checks a set of observances against each other and the built-in feasts:
+ * ids must be unique, and every rule must count from a feast that exists,
+ * without going in a circle. Invalid entries are dropped (and listed in
+ * `problems`). Returns { observances, problems }.
+ */
+export function validateObservances(definitions, builtIn = []) {
+  const problems = [];
+  const taken = new Set(builtIn.map(feast => feast.id));
+  let observances = [];
+
+  (Array.isArray(definitions) ? definitions : []).forEach(definition => {
+    try {
+      const observance = createObservance(definition || {});
+      if (taken.has(observance.id)) {
+        throw new Error(`Observance id "${observance.id}" is already used.`);
+      }
+      taken.add(observance.id);
+      observances.push(observance);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  });
+
+  // Rules that (indirectly) count from themselves can never be dated
+  const all = [...builtIn, ...observances];
+  const inCycle = id => {
+    const seen = new Set();
+    const stack = [id];
+    while (stack.length) {
+      const feast = all.find(entry => entry.id === stack.pop());
+      for (const next of feast ? dependenciesOf(feast.rule) : []) {
+        if (next === id) return true;
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    return false;
+  };
+  observances = observances.filter(observance => {
+    if (!inCycle(observance.id)) return true;
+    problems.push(`Observance "${observance.id}" counts from itself through other rules.`);
+    return false;
+  });
+
+  // Drop rules that count from a missing feast (or one dropped above) until none are left
+  let dropped = true;
+  while (dropped) {
+    const known = new Set([...builtIn, ...observances].map(feast => feast.id));
+    const missing = observances.filter(observance =>
+      dependenciesOf(observance.rule).some(id => !known.has(id)));
+    missing.forEach(observance => {
+      problems.push(`Observance "${observance.id}" counts from "${dependenciesOf(observance.rule)[0]}", which does not exist.`);
+    });
+    observances = observances.filter(observance => !missing.includes(observance));
+    dropped = missing.length > 0;
+  }
+
+  return { observances, problems };
+}
+
+/**
+ * Reads observances from JSON: an array, or { observances: [...] }.
+ * Throws an Error if the text is not JSON. Returns { observances, problems }.
+ */
+export function parseObservances(text, builtIn = []) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+  const definitions = Array.isArray(data) ? data : data && data.observances;
+  if (!Array.isArray(definitions)) {
+    throw new Error('The file should hold a list of observances (or { "observances": [...] }).');
+  }
+  return validateObservances(definitions, builtIn);
+}
+
+/**
+ * A rule in words, e.g. "Month 9, day 25, for 8 days".
+ * `nameOf` turns a feast id into its name.
+ */
+export function describeRule(rule, nameOf = id => id) {
+  const monthDay = ({ month, day }) => `${month === 'last' ? 'Last month' : `Month ${month}`}, day ${day}`;
+
+  switch (rule.type) {
+    case 'fixed':
+      return monthDay(rule);
+    case 'range':
+      return `${monthDay(rule)}, for ${rule.days} days`;
+    case 'relative': {
+      const days = Math.abs(rule.days);
+      return rule.days === 0
+        ? `Same day as ${nameOf(rule.to)}`
+        : `${days} day${days === 1 ? '' : 's'} ${rule.days > 0 ? 'after' : 'before'} ${nameOf(rule.to)}`;
+    }
+    default: {
+      const anchor = rule.after.feast ? nameOf(rule.after.feast) : monthDay(rule.after).toLowerCase();
+      const within = (rule.within ?? 7) === 7 ? '' : ` (at most ${rule.within} days after)`;
+      return `${WEEKDAYS[rule.weekday]} ${rule.inclusive ? 'on or after' : 'after'} ${anchor}${within}`;
+    }
+  }
+}
+
+// =============================================
+// EVALUATION
+// =============================================
+
+/**
+ * Finds the month (and day of it) a date falls in, or null.
+ * `months` are { number, dayOne, length }.
+ */
+export function locateDate(date, months) {
+  const month = months.find(({ dayOne, length }) =>
+    date >= dayOne && date < addDays(dayOne, length || 30));
+  return month ? { month: month.number, day: Math.round((date - month.dayOne) / DAY_MS) + 1 } : null;
+}
+
+/**
+ * The date of a month and day in the year, or null if the month is not in it.
+ */
+function dateOf(month, day, months) {
+  const number = month === 'last' ? months[months.length - 1]?.number : month;
+  const found = months.find(entry => entry.number === number);
+  return found ? { date: addDays(found.dayOne, day - 1), months: [number] } : null;
+}
+
+/**
+ * Dates every definition within a year's months. `known` gives dates for ids
+ * that are decided elsewhere. Returns the definitions that could be dated,
+ * each with `date`, `duration` (for ranges) and `dependsOn` (the month
+ * numbers its date comes from), in definition order. Definitions whose month
+ * is not in the year, or that count from one that was not dated, are left out.
+ */
+export function evaluateFeastRules(definitions, months, known = {}) {
+  const dated = new Map(Object.entries(known).map(([id, date]) => [id, { date, months: [] }]));
+  const results = new Map();
+
+  // Relative rules wait for the feast they count from, so repeat until nothing changes
+  let progress = true;
+  while (progress) {
+    progress = false;
+    definitions.forEach(definition => {
+      if (results.has(definition)) return;
+      const value = definition.id in known
+        ? dated.get(definition.id)
+        : evaluateRule(definition.rule, months, dated);
+      if (value === undefined) return; // Still waiting
+
+      results.set(definition, value);
+      if (definition.id) dated.set(definition.id, value);
+      progress = true;
+    });
+  }
+
+  return definitions
+    .filter(definition => results.get(definition))
+    .map(definition => {
+      const { date, months: dependsOn } = results.get(definition);
+      const entry = { ...definition, date, dependsOn };
+      if (definition.rule.type === 'range') entry.duration = definition.rule.days;
+      return entry;
+    });
+}
+
+/**
+ * One rule's date: { date, months } when it can be dated, null when it
+ * cannot be this year, or undefined while a feast it counts from is pending.
+ */
+function evaluateRule(rule, months, dated) {
+  switch (rule.type) {
+    case 'fixed':
+    case 'range':
+      return dateOf(rule.month, rule.day, months);
+
+    case 'relative': {
+      if (!dated.has(rule.to)) return undefined;
+      const from = dated.get(rule.to);
+      return from && { date: addDays(from.date, rule.days), months: from.months };
+    }
+
+    default: { // 'weekday-after'
+      let anchor;
+      if (rule.after.feast) {
+        if (!dated.has(rule.after.feast)) return undefined;
+        anchor = dated.get(rule.after.feast);
+      } else {
+        anchor = dateOf(rule.after.month, rule.after.day, months);
+      }
+      if (!anchor) return null;
+
+      for (let i = rule.inclusive ? 0 : 1; i <= rule.within; i++) {
+        const date = addDays(anchor.date, i);
+        if (date.getDay() === rule.weekday) return { date, months: anchor.months };
+      }
+      return null;
+    }
+  }
+}
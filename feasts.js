@@ -2,82 +2,153 @@
  * ===================================
  * feasts.js
  * * Defines the Biblical feast days based on Karaite reckoning.
- * Each feast has a 'month' (1-12) and a 'day' (day of the month).
- * Some feasts have a 'duration' in days.
+ * Each feast has an 'id' and a 'rule' saying when it falls
+ * (see feastRules.js for the rule format). 'range' rules are
+ * expanded into one entry per day, and entries sharing a 'span' are merged.
+ * 'highSabbath' marks a day of holy convocation (no regular work).
+ * 'rabbinicDay' is the date the Rabbinic calendar keeps it on, when that
+ * is not simply the same month and day (null if it has no equivalent).
+ * RECKONINGS are the readings of "the morrow after the Sabbath"
+ * (Leviticus 23:11, 15) that decide the Wave Sheaf and Shavuot.
  * ===================================
  */
 
+// Multi-day feasts. Days of a span that are not listed below are regular work days.
+export const FEAST_SPANS = {
+  matzot: { name: "Feast of Unleavened Bread (Hag HaMatzot)", short: "Unleavened Bread" },
+  sukkot: { name: "Feast of Tabernacles (Sukkot)", short: "Sukkot" }
+};
+
 export const FEASTS = [
   // ========== 1st Month (The Month of the Aviv) ==========
   {
+    id: 'passover',
     name: "Passover (Pesach)",
-    month: 1,
-    day: 14,
+    rule: { type: 'fixed', month: 1, day: 14 },
     description: "The Lord's Passover. (Leviticus 23:5)"
   },
   {
+    id: 'matzot',
     name: "Feast of Unleavened Bread (Hag HaMatzot) - Day 1",
-    month: 1,
-    day: 15,
-    duration: 7,
+    rule: { type: 'range', month: 1, day: 15, days: 7 },
+    span: 'matzot',
+    highSabbath: true,
     description: "High Sabbath. (Leviticus 23:6-7)"
   },
   {
+    id: 'matzot-7',
     name: "Feast of Unleavened Bread (Hag HaMatzot) - Day 7",
-    month: 1,
-    day: 21,
+    rule: { type: 'fixed', month: 1, day: 21 },
+    span: 'matzot',
+    highSabbath: true,
     description: "High Sabbath. (Leviticus 23:8)"
   },
   {
+    id: 'matzot-sabbath',
+    name: "Weekly Sabbath during Unleavened Bread",
+    // The Saturday of days 15-21. In the default reckoning its morrow is the Wave Sheaf.
+    rule: { type: 'weekday-after', weekday: 6, after: { month: 1, day: 15 }, inclusive: true, within: 6 },
+    rabbinicDay: null, // The Rabbis read "the Sabbath" as Day 15 itself
+    description: "The weekly Sabbath of the feast. (Leviticus 23:11)"
+  },
+  {
+    id: 'wave-sheaf',
     name: "Wave Sheaf Offering (Yom HaNef)",
-    // This is the "morrow after the Sabbath" *during* Unleavened Bread.
-    // We will need special logic for this one, as it's not a fixed date.
-    month: 1,
-    day: 'morrow_after_weekly_sabbath', 
+    // This is the "morrow after the Sabbath" *during* Unleavened Bread:
+    // the first Sunday of days 15-21. The other RECKONINGS replace this rule.
+    rule: { type: 'weekday-after', weekday: 0, after: { month: 1, day: 15 }, inclusive: true, within: 6 },
+    rabbinicDay: { month: 1, day: 16 },
     description: "Start of the 50-day omer count. (Leviticus 23:10-11, 15)"
   },
   {
+    id: 'firstfruits',
     name: "Messiah's Resurrection (Firstfruits)",
     // This aligns with the Wave Sheaf offering.
-    month: 1,
-    day: 'morrow_after_weekly_sabbath',
+    rule: { type: 'relative', to: 'wave-sheaf', days: 0 },
+    rabbinicDay: { month: 1, day: 16 },
     description: "The day Yeshua rose, fulfilling the Wave Sheaf. (1 Corinthians 15:20)"
   },
 
   // ========== 3rd Month ==========
   {
+    id: 'shavuot',
     name: "Feast of Weeks (Shavuot / Pentecost)",
-    // This is 50 days *from* the Wave Sheaf offering.
-    // We will need special logic for this one too.
-    month: 3, // Usually lands in the 3rd month
-    day: '50_days_from_wave_sheaf',
+    // This is 50 days *from* the Wave Sheaf offering (counting it as day 1),
+    // which usually lands in the 3rd month.
+    rule: { type: 'relative', to: 'wave-sheaf', days: 49 },
+    rabbinicDay: { month: 3, day: 6 },
+    highSabbath: true,
     description: "High Sabbath. 50th day (morrow after the 7th Sabbath). (Leviticus 23:15-16, 21)"
   },
 
   // ========== 7th Month ==========
   {
+    id: 'yom-teruah',
     name: "Day of Trumpets (Yom Teruah)",
-    month: 7,
-    day: 1,
+    rule: { type: 'fixed', month: 7, day: 1 },
+    highSabbath: true,
     description: "High Sabbath. (Leviticus 23:24-25)"
   },
   {
+    id: 'yom-kippur',
     name: "Day of Atonement (Yom Kippur)",
-    month: 7,
-    day: 10,
+    rule: { type: 'fixed', month: 7, day: 10 },
+    highSabbath: true,
     description: "High Sabbath. (Leviticus 23:27-32)"
   },
   {
+    id: 'sukkot',
     name: "Feast of Tabernacles (Sukkot) - Day 1",
-    month: 7,
-    day: 15,
-    duration: 7,
+    rule: { type: 'range', month: 7, day: 15, days: 7 },
+    span: 'sukkot',
+    highSabbath: true,
     description: "High Sabbath. (Leviticus 23:34-35)"
   },
   {
+    id: 'shemini-atzeret',
     name: "The Eighth Day (Shemini Atzeret)",
-    month: 7,
-    day: 22,
+    rule: { type: 'fixed', month: 7, day: 22 },
+    highSabbath: true,
     description: "High Sabbath. (Leviticus 23:36)"
   }
-];
\ No newline at end of file
+];
+
+// Ways of reckoning the Wave Sheaf (and so Shavuot). Each replaces the rules
+// of the feasts it lists; the first is the default.
+export const RECKONINGS = {
+  'sunday-in-feast': {
+    name: "Sunday during Unleavened Bread",
+    description: "The Sabbath is the weekly Sabbath of the feast; the sheaf is waved on the Sunday of days 15-21 (Karaite).",
+    rules: {
+      'wave-sheaf': { type: 'weekday-after', weekday: 0, after: { month: 1, day: 15 }, inclusive: true, within: 6 },
+      shavuot: { type: 'relative', to: 'wave-sheaf', days: 49 }
+    }
+  },
+  'day-after-first-day': {
+    name: "Day after the first day of Unleavened Bread",
+    description: "The Sabbath is the High Sabbath of Day 15; the sheaf is waved on Day 16 (Pharisaic).",
+    rules: {
+      'wave-sheaf': { type: 'fixed', month: 1, day: 16 },
+      shavuot: { type: 'relative', to: 'wave-sheaf', days: 49 }
+    }
+  },
+  'sunday-after-feast': {
+    name: "Sunday after Unleavened Bread",
+    description: "The Sabbath is the first weekly Sabbath after the feast; the sheaf is waved on the Sunday after Day 21 (a Boethusian reading).",
+    rules: {
+      'wave-sheaf': { type: 'weekday-after', weekday: 0, after: { month: 1, day: 21 }, within: 7 },
+      shavuot: { type: 'relative', to: 'wave-sheaf', days: 49 }
+    }
+  }
+};
+
+export const DEFAULT_RECKONING = 'sunday-in-feast';
+
+/**
+ * The feasts with a reckoning's rules in place. Each replaced feast
+ * keeps the reckoning's id in 'reckoning', so its rule can be shown.
+ */
+export function getFeastsFor(reckoning = DEFAULT_RECKONING) {
+  const { rules } = RECKONINGS[reckoning];
+  return FEASTS.map(feast => (rules[feast.id] ? { ...feast, rule: rules[feast.id], reckoning } : feast));
+}
@@ -0,0 +1,127 @@
+/*
+ * ===================================
+ * hebrewCalendar.js
+ * * The Rabbinic (Hillel II) calendar, for comparison:
+ * * fixed arithmetic from the molad of Tishri, the four
+ * * postponements (dehiyyot) and the 19-year leap cycle.
+ * * After Reingold & Dershowitz, "Calendrical Calculations".
+ * * Months are numbered from Nisan (1) as in the Torah;
+ * * Adar II is month 13. The year begins on 1 Tishri.
+ * ===================================
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fixed (R.D.) day numbers count days from Monday, January 1, year 1 (Gregorian)
+const HEBREW_EPOCH = -1373427; // 1 Tishri, AM 1
+const UNIX_EPOCH_FIXED = 719163; // January 1, 1970
+
+const PARTS_PER_DAY = 24 * 1080; // 1080 parts (halakim) to the hour
+const TISHRI = 7;
+
+const MONTH_NAMES = [
+  'Nisan', 'Iyar', 'Sivan', 'Tammuz', 'Av', 'Elul',
+  'Tishri', 'Marheshvan', 'Kislev', 'Tevet', 'Shevat', 'Adar', 'Adar II'
+];
+
+/**
+ * Leap years are years 3, 6, 8, 11, 14, 17 and 19 of the 19-year cycle.
+ */
+export function isHebrewLeapYear(year) {
+  return (7 * year + 1) % 19 < 7;
+}
+
+function lastMonthOfYear(year) {
+  return isHebrewLeapYear(year) ? 13 : 12;
+}
+
+/**
+ * Days from the epoch to the molad of Tishri, moved a day when it falls on
+ * Sunday, Wednesday or Friday (lo ADU rosh). The molad interval is
+ * 29 days, 12 hours and 793 parts.
+ */
+function elapsedDays(year) {
+  const monthsElapsed = Math.floor((235 * year - 234) / 19);
+  const partsElapsed = 12084 + 13753 * monthsElapsed;
+  const days = 29 * monthsElapsed + Math.floor(partsElapsed / PARTS_PER_DAY);
+  return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+}
+
+/**
+ * The remaining postponements, which keep every year 353-355 or 383-385 days long.
+ */
+function yearLengthCorrection(year) {
+  const before = elapsedDays(year - 1);
+  const current = elapsedDays(year);
+  const after = elapsedDays(year + 1);
+  if (after - current === 356) return 2;
+  if (current - before === 382) return 1;
+  return 0;
+}
+
+function newYear(year) {
+  return HEBREW_EPOCH + elapsedDays(year) + yearLengthCorrection(year);
+}
+
+function daysInYear(year) {
+  return newYear(year + 1) - newYear(year);
+}
+
+/**
+ * 29 or 30 days: Marheshvan and Kislev vary with the year's length,
+ * and Adar has 30 days only in leap years (as Adar I).
+ */
+function daysInMonth(month, year) {
+  const length = daysInYear(year);
+  if ([2, 4, 6, 10, 13].includes(month)) return 29;
+  if (month === 12 && !isHebrewLeapYear(year)) return 29;
+  if (month === 8 && length % 10 !== 5) return 29;
+  if (month === 9 && length % 10 === 3) return 29;
+  return 30;
+}
+
+/**
+ * The fixed day number of a Hebrew date.
+ */
+function fixedFromHebrew(year, month, day) {
+  let fixed = newYear(year) + day - 1;
+  if (month < TISHRI) {
+    for (let m = TISHRI; m <= lastMonthOfYear(year); m++) fixed += daysInMonth(m, year);
+    for (let m = 1; m < month; m++) fixed += daysInMonth(m, year);
+  } else {
+    for (let m = TISHRI; m < month; m++) fixed += daysInMonth(m, year);
+  }
+  return fixed;
+}
+
+/**
+ * A Hebrew date as a local-midnight Date (the daylight part of the day;
+ * like our dates, it begins at sundown the evening before).
+ */
+export function hebrewToDate(year, month, day) {
+  const utc = new Date((fixedFromHebrew(year, month, day) - UNIX_EPOCH_FIXED) * DAY_MS);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+/**
+ * The Hebrew year whose Nisan falls in the spring of a Gregorian year.
+ * (Tishri of that Gregorian year already begins the next Hebrew year.)
+ */
+export function getHebrewYearForSpring(gregorianYear) {
+  return gregorianYear + 3760;
+}
+
+/**
+ * The name of a Hebrew month, e.g. "Adar I" in a leap year.
+ */
+export function getHebrewMonthName(month, year) {
+  if (month === 12 && isHebrewLeapYear(year)) return 'Adar I';
+  return MONTH_NAMES[month - 1];
+}
+
+/**
+ * Formats a Hebrew date, e.g. "15 Nisan 5786".
+ */
+export function formatHebrewDate({ year, month, day }) {
+  return `${day} ${getHebrewMonthName(month, year)} ${year}`;
+}
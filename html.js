@@ -0,0 +1,19 @@
+/*
+ * ===================================
+ * html.js
+ * * Escaping for text put into innerHTML templates.
+ * * Anything a user typed, or that came from an
+ * * imported file or the shared storage server, goes
+ * * through escapeHtml before it reaches the page.
+ * ===================================
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * A value as HTML text, safe inside elements and quoted attributes.
+ * null and undefined become ''.
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, character => ENTITIES[character]);
+}
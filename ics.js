@@ -0,0 +1,122 @@
+/*
+ * ===================================
+ * ics.js
+ * * Exports computed feasts as an iCalendar (RFC 5545) file.
+ * * Events run sundown to sundown, and each feast keeps the
+ * * same UID for its biblical year, so re-importing (or
+ * * re-publishing a subscribed feed) updates events
+ * * instead of duplicating them.
+ * ===================================
+ */
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//Karaite Messianic Lunar Calendar//Feasts//EN';
+const UID_DOMAIN = 'karaite-messianic-calendar';
+
+/**
+ * Formats an instant as a UTC date-time, e.g. 20260403T160000Z.
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11).
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets, continuing with CRLF + space
+ * (RFC 5545 section 3.1). Never splits a multi-byte character.
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join(CRLF + ' ');
+}
+
+/**
+ * A stable id for a feast in a biblical year, from its id (so renaming a
+ * feast keeps its events), e.g. "passover-2026@karaite-messianic-calendar".
+ */
+export function feastUid(feast, year) {
+  return `${feast.id}-${year}@${UID_DOMAIN}`;
+}
+
+/**
+ * Builds one VEVENT. Feasts need `id`, `name`, `description`, `start`, `end`
+ * (sundown instants) and may carry `tentative` and `month`/`day`.
+ */
+function buildEvent(feast, year, stamp) {
+  const details = [feast.description];
+  if (typeof feast.day === 'number') {
+    details.push(`Biblical date: Month ${feast.month}, Day ${feast.day}.`);
+  }
+  details.push(feast.estimated
+    ? 'Begins and ends at sundown; the sun does not set here on this date, so 18:00 local mean time is used.'
+    : 'Begins and ends at sundown.');
+  if (feast.tentative) {
+    details.push('Tentative: based on the astronomical prediction, not a confirmed sighting.');
+  }
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${feastUid(feast, year)}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(feast.start)}`,
+    `DTEND:${formatDateTime(feast.end)}`,
+    `SUMMARY:${escapeText(feast.name)}`,
+    `DESCRIPTION:${escapeText(details.join('\n'))}`,
+    `STATUS:${feast.tentative ? 'TENTATIVE' : 'CONFIRMED'}`,
+    `TRANSP:${feast.highSabbath ? 'OPAQUE' : 'TRANSPARENT'}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Builds a complete .ics file for a biblical year's feasts.
+ */
+export function buildICalendar(feasts, year, options = {}) {
+  return buildICalendarFeed([{ year, feasts }], options);
+}
+
+/**
+ * Builds one .ics file for several biblical years, given as
+ * { year, feasts } (e.g. results of computeYear), for a subscription feed.
+ */
+export function buildICalendarFeed(years, { calendarName = 'Karaite Messianic Feasts', now = new Date() } = {}) {
+  const stamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...years.flatMap(({ year, feasts }) => feasts.flatMap(feast => buildEvent(feast, year, stamp))),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,104 @@
+/*
+ * ===================================
+ * locations.js
+ * * An offline gazetteer of cities, and the two roles
+ * * a location can play:
+ * * - the calendar "authority" whose sighting decides months
+ * * - the "observer" whose local times are shown
+ * ===================================
+ */
+
+// Coordinates in degrees, elevation in meters, IANA time zone.
+export const GAZETTEER = [
+  { id: 'jerusalem', name: 'Jerusalem', country: 'Israel', lat: 31.7683, lon: 35.2137, elevation: 754, timeZone: 'Asia/Jerusalem' },
+  { id: 'tel-aviv', name: 'Tel Aviv', country: 'Israel', lat: 32.0853, lon: 34.7818, elevation: 5, timeZone: 'Asia/Jerusalem' },
+  { id: 'amman', name: 'Amman', country: 'Jordan', lat: 31.9539, lon: 35.9106, elevation: 777, timeZone: 'Asia/Amman' },
+  { id: 'cairo', name: 'Cairo', country: 'Egypt', lat: 30.0444, lon: 31.2357, elevation: 23, timeZone: 'Africa/Cairo' },
+  { id: 'nairobi', name: 'Nairobi', country: 'Kenya', lat: -1.2921, lon: 36.8219, elevation: 1795, timeZone: 'Africa/Nairobi' },
+  { id: 'lagos', name: 'Lagos', country: 'Nigeria', lat: 6.5244, lon: 3.3792, elevation: 41, timeZone: 'Africa/Lagos' },
+  { id: 'johannesburg', name: 'Johannesburg', country: 'South Africa', lat: -26.2041, lon: 28.0473, elevation: 1753, timeZone: 'Africa/Johannesburg' },
+  { id: 'london', name: 'London', country: 'United Kingdom', lat: 51.5074, lon: -0.1278, elevation: 11, timeZone: 'Europe/London' },
+  { id: 'paris', name: 'Paris', country: 'France', lat: 48.8566, lon: 2.3522, elevation: 35, timeZone: 'Europe/Paris' },
+  { id: 'amsterdam', name: 'Amsterdam', country: 'Netherlands', lat: 52.3676, lon: 4.9041, elevation: -2, timeZone: 'Europe/Amsterdam' },
+  { id: 'berlin', name: 'Berlin', country: 'Germany', lat: 52.5200, lon: 13.4050, elevation: 34, timeZone: 'Europe/Berlin' },
+  { id: 'moscow', name: 'Moscow', country: 'Russia', lat: 55.7558, lon: 37.6173, elevation: 156, timeZone: 'Europe/Moscow' },
+  { id: 'mumbai', name: 'Mumbai', country: 'India', lat: 19.0760, lon: 72.8777, elevation: 14, timeZone: 'Asia/Kolkata' },
+  { id: 'singapore', name: 'Singapore', country: 'Singapore', lat: 1.3521, lon: 103.8198, elevation: 15, timeZone: 'Asia/Singapore' },
+  { id: 'manila', name: 'Manila', country: 'Philippines', lat: 14.5995, lon: 120.9842, elevation: 7, timeZone: 'Asia/Manila' },
+  { id: 'tokyo', name: 'Tokyo', country: 'Japan', lat: 35.6762, lon: 139.6503, elevation: 40, timeZone: 'Asia/Tokyo' },
+  { id: 'sydney', name: 'Sydney', country: 'Australia', lat: -33.8688, lon: 151.2093, elevation: 58, timeZone: 'Australia/Sydney' },
+  { id: 'auckland', name: 'Auckland', country: 'New Zealand', lat: -36.8485, lon: 174.7633, elevation: 26, timeZone: 'Pacific/Auckland' },
+  { id: 'honolulu', name: 'Honolulu', country: 'United States', lat: 21.3069, lon: -157.8583, elevation: 6, timeZone: 'Pacific/Honolulu' },
+  { id: 'los-angeles', name: 'Los Angeles', country: 'United States', lat: 34.0522, lon: -118.2437, elevation: 71, timeZone: 'America/Los_Angeles' },
+  { id: 'denver', name: 'Denver', country: 'United States', lat: 39.7392, lon: -104.9903, elevation: 1609, timeZone: 'America/Denver' },
+  { id: 'dallas', name: 'Dallas', country: 'United States', lat: 32.7767, lon: -96.7970, elevation: 131, timeZone: 'America/Chicago' },
+  { id: 'chicago', name: 'Chicago', country: 'United States', lat: 41.8781, lon: -87.6298, elevation: 181, timeZone: 'America/Chicago' },
+  { id: 'toronto', name: 'Toronto', country: 'Canada', lat: 43.6532, lon: -79.3832, elevation: 76, timeZone: 'America/Toronto' },
+  { id: 'new-york', name: 'New York', country: 'United States', lat: 40.7128, lon: -74.0060, elevation: 10, timeZone: 'America/New_York' },
+  { id: 'mexico-city', name: 'Mexico City', country: 'Mexico', lat: 19.4326, lon: -99.1332, elevation: 2240, timeZone: 'America/Mexico_City' },
+  { id: 'sao-paulo', name: 'São Paulo', country: 'Brazil', lat: -23.5505, lon: -46.6333, elevation: 760, timeZone: 'America/Sao_Paulo' },
+  { id: 'buenos-aires', name: 'Buenos Aires', country: 'Argentina', lat: -34.6037, lon: -58.3816, elevation: 25, timeZone: 'America/Argentina/Buenos_Aires' }
+];
+
+// Months follow the Jerusalem sighting unless the user changes it.
+export const DEFAULT_LOCATIONS = {
+  authority: 'jerusalem',
+  observer: 'jerusalem'
+};
+
+/**
+ * Looks up a gazetteer city by its id.
+ */
+export function findCity(id) {
+  return GAZETTEER.find(city => city.id === id) || null;
+}
+
+/**
+ * Checks a custom location (e.g. from geolocation) and returns a clean copy.
+ * Throws an Error with a readable message if it is out of range.
+ */
+export function createCustomLocation({ name, lat, lon, elevation = 0, timeZone = 'UTC' }) {
+  if (typeof lat !== 'number' || lat < -90 || lat > 90) {
+    throw new Error('Latitude must be between -90 and 90 degrees.');
+  }
+  if (typeof lon !== 'number' || lon < -180 || lon > 180) {
+    throw new Error('Longitude must be between -180 and 180 degrees.');
+  }
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+
+  return {
+    id: 'custom',
+    name: name || `${lat.toFixed(3)}°, ${lon.toFixed(3)}°`,
+    country: '',
+    lat,
+    lon,
+    elevation: elevation || 0,
+    timeZone
+  };
+}
+
+/**
+ * Resolves a saved location setting (a city id or a custom
+ * location object) to a full location. Falls back to Jerusalem.
+ */
+export function resolveLocation(setting) {
+  if (setting && typeof setting === 'object') {
+    try {
+      return createCustomLocation(setting);
+    } catch (error) {
+      console.warn('Ignoring invalid saved location:', error.message);
+    }
+  }
+  return findCity(setting) || findCity(DEFAULT_LOCATIONS.authority);
+}
+
+/**
+ * Formats a date in a location's own time zone.
+ */
+export function formatInTimeZone(date, timeZone, options = {}) {
+  return date.toLocaleString(undefined, { ...options, timeZone });
+}
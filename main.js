@@ -1,130 +1,253 @@
 /*
  * ===================================
  * main.js
- * * This is the main application logic.
- * * It finds expected new moons, populates the UI,
- * * and calculates feast days based on user confirmation.
+ * * This is the web page.
+ * * It shows the months and feasts worked out by the
+ * * calendar engine (calendar.js), populates the UI,
+ * * and saves the user's confirmations.
  * ===================================
  */
 
 // Import Three.js
 import * as THREE from 'three';
 
-// Import our feast list from the other file
-import { FEASTS } from './feasts.js';
+// Import SunCalc (it is an ES module, so it is not available as a global)
+import * as SunCalc from './suncalc.js';
+
+// Import the headless calendar engine
+import {
+  computeYear, calculateYearFeasts, findWaveSheafDate, checkMonthEntry, previewChange, compareReckonings,
+  CalendarError
+} from './calendar.js';
+
+// Import the built-in feasts, their multi-day names and the Wave Sheaf reckonings
+import { FEASTS, FEAST_SPANS, RECKONINGS } from './feasts.js';
+
+// Import the custom observance rules
+import { parseObservances, describeRule } from './feastRules.js';
+
+// Import the tonight's-crescent check
+import { assessTonight } from './visibility.js';
+
+// Import the biblical-year helpers
+import { getBiblicalYearFor, findNextNewMoon } from './biblicalYear.js';
+
+// Import the gazetteer and the authority/observer locations
+import { GAZETTEER, createCustomLocation, resolveLocation, formatInTimeZone } from './locations.js';
+
+// Import the sundown formatting
+import { formatSundown } from './biblicalDay.js';
+
+// Import the month-grid calendar view
+import { renderCalendar } from './calendarGrid.js';
+
+// Import the full-screen sky view
+import { createSkyView } from './skyView.js';
+
+// Import star rendering by magnitude and colour
+import { createStarPoints, refreshStarPoints } from './starField.js';
+import { openStarCatalog } from './starCatalog.js';
+
+// Import the moon's orientation (bright limb, libration, earthshine)
+import { getMoonOrientation } from './moonOrientation.js';
+
+// Import eclipse prediction
+import {
+  findEclipsesBetween, getLocalCircumstances, getLunarEclipsePhase, describeEclipse, describeLocalCircumstances
+} from './eclipses.js';
+
+// Import the Mazzaroth: constellations and signs of the sun and moon
+import { ZODIAC_SYSTEMS, DEFAULT_ZODIAC_SYSTEM, getZodiacPosition, findNextZodiacEntry } from './zodiac.js';
+import { createConstellationLocator, parseConstellationLines } from './constellations.js';
+
+// Import the iCalendar export
+import { buildICalendar } from './ics.js';
+
+// Import the omer count
+import { countOmer, getOmerDayFor } from './omer.js';
+
+// Import the barley reports and 13th-month decision
+import { BARLEY_STATES, createBarleyReport, getAvivDeadline, projectLeapYears } from './aviv.js';
+
+// Import the HTML escaping for user-entered text
+import { escapeHtml } from './html.js';
+
+// Import the new-moon sighting reports
+import {
+  SIGHTING_AIDS, SKY_CONDITIONS, createSightingReport, summarizeSightings, findConfirmingEvening,
+  createConfirmationEvidence
+} from './sightings.js';
+
+// Import the versioned calendar storage and where it is kept
+import {
+  loadCalendar, saveCalendar, syncCalendar, mergeCalendars, getYearData, setConfirmedDayOne,
+  getConfirmationEvidence, exportCalendarBackup, importCalendarBackup, createEmptyCalendar
+} from './storage.js';
+import { createBackend } from './storageBackends.js';
 
 // --- Global State ---
-let waveSheafDateGlobal = null;
-let savedCalendar = {}; // To hold our loaded data
+let waveSheafDateGlobal = null; // The Wave Sheaf of the displayed year, once Month 1 is confirmed
+let savedCalendar = null; // Saved months, barley reports and settings (see storage.js)
+let displayedYear = null; // The biblical year (by its spring) being shown
+let omerCount = null; // The 50 days from the Wave Sheaf to Shavuot
+let displayedMonths = []; // Day 1 and length of each month in the displayed year
+let displayedEclipses = []; // Eclipses of the displayed year, with how they look to the observer
+let liveEclipses = []; // Eclipses in progress or in the next month, for the live view
+let calendarLayout = 'biblical'; // 'biblical' or 'gregorian' month grids
+let storageBackend = null; // Where savedCalendar is kept (see storageBackends.js)
+let syncedCalendar = null; // savedCalendar as last loaded from or saved to storageBackend
+let saving = Promise.resolve(); // Saves run one after another
+let sightingMonth = 1; // The month shown in the sightings section
+let pendingChange = null; // A previewed change waiting for the user to apply it (see previewChange)
+let skyView = null; // The full-screen sky view, built the first time it is opened
+let constellationLocator = null; // Finds the constellation of a sky position, once the boundaries are loaded
+let constellationLoadError = null; // Why the boundaries could not be loaded, if they could not
+let zodiacSystem = DEFAULT_ZODIAC_SYSTEM; // How the Mazzaroth panel names positions (see ZODIAC_SYSTEMS)
 
 // --- 3D Scene Globals ---
-let scene, camera, renderer, moonMesh, sunLight;
+let scene, camera, renderer, moonMesh, moonGroup, sunLight, earthshineLight;
 let isDragging = false;
+let realOrientation = true; // Show the moon as the observer sees it (no idle spin or dragging)
 let previousMousePosition = { x: 0, y: 0 };
 
 // --- Constants ---
-const JERUSALEM_LAT = 31.7683;
-const JERUSALEM_LON = 35.2137;
-const LUNAR_CYCLE_DAYS = 29.530588861; // Average synodic period
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Which backend to use is kept in this browser, whatever the backend is
+const BACKEND_SETTING_KEY = 'karaiteCalendar.backend';
+// So is the zodiac system of the Mazzaroth panel
+const ZODIAC_SETTING_KEY = 'karaiteCalendar.zodiacSystem';
+// The faintest stars drawn behind the moon; fainter catalog tiers are never fetched
+const BACKDROP_LIMITING_MAGNITUDE = 6.5;
 
 /**
  * Main function to run when the page loads.
  */
-document.addEventListener('DOMContentLoaded', () => {
-  // 1. (NEW) Load any saved calendar data
-  loadSavedCalendar(); 
+document.addEventListener('DOMContentLoaded', async () => {
+  // 1. Load any saved calendar data
+  await loadSavedCalendar();
 
-  // 2. Get the current year
-  const thisYear = new Date().getFullYear();
+  // 2. Find the biblical year we are in (Month 1 starts near the spring equinox)
+  displayedYear = getBiblicalYearFor(new Date());
   
-  // 3. Find all expected new moons
-  const expectedMoons = findExpectedNewMoons(thisYear);
+  // 3. Build its months, our HTML interface and its saved feasts
+  showBiblicalYear(displayedYear);
   
-  // 4. Use that data to build our HTML interface
-  populateCalendarControls(expectedMoons);
+  // 4. Activate the previous/next year buttons, the barley report form and the location pickers
+  addYearNavigationListeners();
+  addAvivReportListeners();
+  addSightingListeners();
+  addObservanceListeners();
+  addReckoningListeners();
+  addChangePreviewListeners();
+  addLocationListeners();
+  addCalendarViewListeners();
+  addBackupListeners();
+  addMazzarothListeners();
+  document.getElementById('export-ics-btn').addEventListener('click', exportICalendar);
+  document.getElementById('open-sky-view-btn').addEventListener('click', () => openSkyView(toDateInputValue(new Date())));
   
   // 5. Activate the "Calculate Feasts" buttons
   addCalendarEventListeners();
   
   // 6. START THE LIVE VISUALS
   startLiveVisuals();
-  
-  // 7. (NEW) Re-display any saved data
-  redisplaySavedFeasts();
 });
 
+// The saved setting each CalendarError from computeYear is about
+const SETTING_FOR_ERROR = {
+  UNKNOWN_LOCATION: 'locations',
+  INVALID_LOCATION: 'locations',
+  UNKNOWN_RECKONING: 'reckoning',
+  INVALID_OBSERVANCE: 'observances'
+};
+
 /**
- * Uses SunCalc to find all astronomical new moons for a given year.
+ * Computes a year from the saved data. A saved setting the engine refuses
+ * is reported in the Saved Data section and replaced with its default.
  */
-function findExpectedNewMoons(year) {
-  console.log(`Calculating expected new moons for ${year}...`);
-  const newMoons = [];
-  
-  // 1. Find the *first* new moon of the year (by finding the minimum phase)
-  let searchDate = new Date(year, 0, 1, 0, 0, 0); // Jan 1, midnight
-  let minPhase = 1.0;
-  let firstNewMoonDate = searchDate;
-
-  // Search the first ~35 days of the year
-  for (let d = 0; d < 35 * 24; d++) { // Check every hour
-    const illum = SunCalc.getMoonIllumination(searchDate);
-    if (illum.phase < minPhase) {
-      minPhase = illum.phase;
-      firstNewMoonDate = new Date(searchDate);
+function computeSavedYear(year) {
+  for (;;) {
+    try {
+      return computeYear({ year, calendar: savedCalendar });
+    } catch (error) {
+      const setting = error instanceof CalendarError && SETTING_FOR_ERROR[error.code];
+      const fallback = setting && createEmptyCalendar().settings[setting];
+      if (!setting || JSON.stringify(savedCalendar.settings[setting]) === JSON.stringify(fallback)) throw error;
+      console.error(`Could not use the saved ${setting}:`, error);
+      document.getElementById('storage-status').textContent =
+        `Could not use the saved ${setting} (${error.message}); using the defaults instead.`;
+      savedCalendar.settings[setting] = fallback;
     }
-    searchDate.setHours(searchDate.getHours() + 1);
   }
-  newMoons.push(firstNewMoonDate);
+}
 
-  // 2. Use the first new moon to find the rest
-  let lastNewMoon = firstNewMoonDate;
-  for (let m = 0; m < 12; m++) {
-    const nextNewMoonTime = lastNewMoon.getTime() + (LUNAR_CYCLE_DAYS * 24 * 60 * 60 * 1000);
-    let nextNewMoonDate = new Date(nextNewMoonTime);
-    
-    let minPhase2 = 1.0;
-    let accurateNextDate = new Date(nextNewMoonDate);
-    accurateNextDate.setHours(accurateNextDate.getHours() - 12); // Search 24-hr window
-    
-    for (let h = 0; h < 24; h++) {
-        accurateNextDate.setHours(accurateNextDate.getHours() + 1);
-        const illum = SunCalc.getMoonIllumination(accurateNextDate);
-        if (illum.phase < minPhase2) {
-            minPhase2 = illum.phase;
-            nextNewMoonDate = new Date(accurateNextDate);
-        }
-    }
-    
-    if (nextNewMoonDate.getFullYear() === year) {
-      newMoons.push(nextNewMoonDate);
-    }
-    lastNewMoon = nextNewMoonDate;
-  }
-  
-  console.log("Found expected new moons:", newMoons);
-  return newMoons;
+/**
+ * Builds a biblical year and shows its months, barley reports and saved feasts.
+ */
+function showBiblicalYear(year) {
+  const result = computeSavedYear(year);
+  const { biblicalYear, months, rabbinic } = result;
+  console.log(`Built biblical year ${year}:`, biblicalYear);
+
+  const title = document.getElementById('year-title');
+  title.textContent = `Biblical Year ${year}–${year + 1} (${biblicalYear.months.length} months)`;
+
+  displayedMonths = months;
+  displayedEclipses = result.eclipses;
+  populateCalendarControls(displayedMonths);
+  displayCalendarGrid();
+  displayAvivReports(biblicalYear);
+  displaySightings();
+  displayObservances();
+  displayReckoning();
+  displayRabbinicComparison(rabbinic, biblicalYear);
+
+  document.getElementById('feast-day-list').innerHTML = '';
+  redisplaySavedFeasts(result);
+}
+
+/**
+ * Lets the user browse to the previous or next biblical year.
+ */
+function addYearNavigationListeners() {
+  document.getElementById('prev-year-btn').addEventListener('click', () => {
+    displayedYear -= 1;
+    showBiblicalYear(displayedYear);
+  });
+  document.getElementById('next-year-btn').addEventListener('click', () => {
+    displayedYear += 1;
+    showBiblicalYear(displayedYear);
+  });
 }
 
 /**
  * Creates the HTML controls for each predicted new moon.
  */
-function populateCalendarControls(newMoons) {
+function populateCalendarControls(months) {
+  const authority = getAuthority();
+  const observer = getObserver();
   const container = document.getElementById('calendar-controls');
   container.innerHTML = ''; // Clear any existing content
 
   const instructions = document.createElement('p');
   instructions.innerHTML = `<strong>Instructions:</strong> Find a predicted new moon. 
     Based on the *visual sighting*, enter the date for <strong>Day 1</strong> (the day *after* the sighting). 
-    Then, enter the <strong>Biblical Month #</strong> (e.g., 1 for Aviv) and click 'Calculate'.`;
+    Day 1 is pre-filled from the first evening the crescent is likely visible from ${escapeHtml(authority.name)}. 
+    Check the <strong>Biblical Month #</strong> (1 is the Aviv month) and click 'Calculate'.`;
   container.prepend(instructions);
 
-  newMoons.forEach((date, index) => {
+  months.forEach(({ number, conjunction, visibility, confirmed, dayOne }, index) => {
     const monthDiv = document.createElement('div');
     monthDiv.className = 'month-entry';
 
+    let heading = `Month ${number}`;
+    if (number === 1) heading += ' (Aviv)';
+    if (number === 13) heading += ' (Intercalary)';
+
     monthDiv.innerHTML = `
-      <h3>Potential Month (Prediction ${index + 1})</h3>
-      <p class="expected-date">Astronomical New Moon: ${date.toLocaleString()}</p>
+      <h3>${heading}</h3>
+      <p class="expected-date">Astronomical New Moon: ${formatSundown(conjunction, 'UTC')}
+        <span class="local-time">(${formatSundown(conjunction, observer.timeZone)} in ${escapeHtml(observer.name)})</span></p>
       
       <label for="month-${index}-date"><b>1. Confirmed Day 1:</b></label>
       <input type="date" id="month-${index}-date">
@@ -136,25 +259,161 @@ function populateCalendarControls(newMoons) {
         Calculate Feasts
       </button>
     `;
+    displayedEclipses
+      .filter(eclipse => eclipse.month === number)
+      .forEach(eclipse => monthDiv.appendChild(createEclipseLine(eclipse, observer)));
+    monthDiv.appendChild(createVisibilityTable(visibility, authority.name));
+    if (confirmed) {
+      monthDiv.appendChild(createEvidenceLine(getConfirmationEvidence(savedCalendar, displayedYear, number)));
+    }
     
-    // Pre-fill "Day 1" with the day *after* the astronomical new moon as a suggestion
-    const dayAfter = new Date(date);
-    dayAfter.setDate(dayAfter.getDate() + 1);
+    // Pre-fill "Day 1" with the saved date, or the day after the first
+    // evening the crescent is likely seen
     const dateInput = monthDiv.querySelector(`#month-${index}-date`);
     const numInput = monthDiv.querySelector(`#month-${index}-num`);
-    dateInput.value = dayAfter.toISOString().split('T')[0]; // Format: YYYY-MM-DD
+    dateInput.value = toDateInputValue(dayOne); // Format: YYYY-MM-DD
+    numInput.value = number;
+
+    container.appendChild(monthDiv);
+  });
+}
+
+/**
+ * A line on a month card for an eclipse at its new or full moon.
+ */
+function createEclipseLine(eclipse, observer) {
+  const line = document.createElement('p');
+  line.className = `eclipse-note ${eclipse.local.visible ? 'visible' : ''}`;
+  line.textContent = `${describeEclipse(eclipse)} at the ${eclipse.kind === 'solar' ? 'new' : 'full'} moon: ` +
+    `greatest ${formatSundown(eclipse.date, observer.timeZone)}. ` +
+    `From ${observer.name}: ${describeLocalCircumstances(eclipse, eclipse.local)}.`;
+  return line;
+}
+
+/**
+ * The displayed year's feasts at the observer, with the saved
+ * observances and reckoning.
+ */
+function calculateDisplayedFeasts() {
+  const { observances, reckoning } = savedCalendar.settings;
+  return calculateYearFeasts(displayedMonths, getObserver(), 'sunset', observances, reckoning);
+}
+
+/**
+ * Downloads the displayed year's feasts as an .ics file.
+ */
+function exportICalendar() {
+  const ics = buildICalendar(calculateDisplayedFeasts(), displayedYear, {
+    calendarName: `Karaite Messianic Feasts ${displayedYear}–${displayedYear + 1}`
+  });
+  const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `karaite-feasts-${displayedYear}.ics`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
 
-    // (NEW) Check if we have saved data for this input slot
-    if (savedCalendar[index + 1]) {
-      const savedDate = new Date(savedCalendar[index + 1]);
-      dateInput.value = savedDate.toISOString().split('T')[0];
-      numInput.value = index + 1;
+/**
+ * Renders the displayed year as month grids, with feasts from
+ * confirmed or predicted Day 1s.
+ */
+function displayCalendarGrid() {
+  renderCalendar(document.getElementById('calendar-grid'), {
+    months: displayedMonths,
+    feasts: calculateDisplayedFeasts(),
+    layout: calendarLayout,
+    onFocusDay: (cell) => {
+      document.getElementById('calendar-day-details').textContent = cell.getAttribute('aria-label');
     }
+  });
+}
 
-    container.appendChild(monthDiv);
+/**
+ * Switches the calendar between biblical-month and Gregorian-month grids.
+ */
+function addCalendarViewListeners() {
+  const toggle = document.getElementById('calendar-view-toggle');
+  toggle.addEventListener('click', (event) => {
+    const layout = event.target.dataset.layout;
+    if (!layout) return;
+
+    calendarLayout = layout;
+    toggle.querySelectorAll('button').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.layout === layout));
+    });
+    displayCalendarGrid();
   });
 }
 
+/**
+ * Builds the per-evening crescent visibility table for a month card.
+ */
+function createVisibilityTable(visibility, placeName) {
+  const table = document.createElement('table');
+  table.className = 'visibility-table';
+
+  const caption = visibility.sighting
+    ? `Likely first sighting: evening of ${visibility.sighting.date.toLocaleDateString()}`
+    : 'Crescent not likely visible in the first evenings; Day 1 follows a full 30-day month';
+  table.innerHTML = `
+    <caption>${caption} (Yallop q-test, ${escapeHtml(placeName)})</caption>
+    <thead>
+      <tr>
+        <th>Evening</th><th>Lag</th><th>Age</th><th>ARCL</th><th>ARCV</th><th>W</th><th>q</th>
+      </tr>
+    </thead>
+  `;
+
+  const body = document.createElement('tbody');
+  visibility.evenings.forEach(evening => {
+    const row = document.createElement('tr');
+    if (evening === visibility.sighting) row.className = 'chosen';
+    const fixed = (value, digits) => (value === null ? '–' : value.toFixed(digits));
+    row.innerHTML = `
+      <td>${evening.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</td>
+      <td>${evening.lagMinutes === null ? '–' : evening.lagMinutes + 'm'}</td>
+      <td>${evening.ageHours.toFixed(1)}h</td>
+      <td>${fixed(evening.arcl, 1)}°</td>
+      <td>${fixed(evening.arcv, 1)}°</td>
+      <td>${fixed(evening.width, 2)}'</td>
+      <td title="${evening.category.label}">${fixed(evening.q, 3)} (${evening.category.code})</td>
+    `;
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+  return table;
+}
+
+/**
+ * Says how a month's confirmed Day 1 was decided.
+ */
+function createEvidenceLine(evidence) {
+  const line = document.createElement('p');
+  line.className = 'evidence';
+  if (evidence && evidence.basis === 'sighting') {
+    const count = evidence.reportIds.length;
+    line.classList.add('sighted');
+    line.textContent = `Confirmed by ${count} sighting report${count === 1 ? '' : 's'} ` +
+      `on the evening of ${new Date(evidence.evening + 'T00:00:00').toLocaleDateString()}.`;
+  } else {
+    line.textContent = 'Day 1 entered by hand.';
+  }
+  if (evidence && evidence.confirmedAt) {
+    line.title = `Confirmed ${new Date(evidence.confirmedAt).toLocaleString()}`;
+  }
+  return line;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time, for <input type="date">.
+ */
+function toDateInputValue(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Adds a single, smart event listener to the main container
  * that handles all button clicks.
@@ -176,104 +435,647 @@ function addCalendarEventListeners() {
     const monthNumber = parseInt(numInput.value, 10);
 
     // --- Validation ---
-    if (!confirmedDateStr) {
-      alert('Please select a confirmed Day 1 date.');
+    const errors = checkMonthEntry({ date: confirmedDateStr, monthNumber, waveSheafDate: waveSheafDateGlobal });
+    const invalid = errors.find(error => error.code !== 'WAVE_SHEAF_REQUIRED');
+    if (invalid) {
+      alert(invalid.message);
       return;
     }
-    if (isNaN(monthNumber) || monthNumber < 1 || monthNumber > 13) {
-      alert('Please enter a valid month number (1-13).');
-      return;
+
+    // --- Special Shavuot Logic ---
+    const needsWaveSheaf = errors.find(error => error.code === 'WAVE_SHEAF_REQUIRED');
+    if (needsWaveSheaf) {
+      alert(needsWaveSheaf.message);
     }
 
-    // This creates a date object at midnight *local time*
-    const dayOne = new Date(confirmedDateStr + 'T00:00:00');
+    // --- Save this entry under the displayed year, once the user has seen what moves ---
+    proposeChange(`Day 1 of Month ${monthNumber} set to ${new Date(confirmedDateStr + 'T00:00:00').toLocaleDateString()}`,
+      draft => setConfirmedDayOne(draft, displayedYear, monthNumber, confirmedDateStr));
+  });
+}
 
-    // --- (NEW) Save this entry ---
-    saveCalendarEntry(monthNumber, dayOne.toISOString());
+// =============================================
+// CHANGES
+// =============================================
 
-    // --- Special Shavuot Logic ---
-    if (monthNumber === 3 && !waveSheafDateGlobal) {
-      alert('Cannot calculate Shavuot (Month 3)!\n\nYou must first calculate Month 1 (Aviv) so the date of the Wave Sheaf Offering can be set.');
+/**
+ * Previews a change to the saved data. If any month or feast would move,
+ * the dates are listed for the user to apply or cancel; otherwise the
+ * change is saved straight away.
+ */
+function proposeChange(description, change) {
+  const preview = previewChange({ year: displayedYear, calendar: savedCalendar, change });
+  if (preview.diff.unchanged) {
+    applyChange(preview.calendar);
+    return;
+  }
+  pendingChange = preview;
+  displayChangePreview(description, preview.diff);
+}
+
+/**
+ * Saves the changed calendar and recomputes everything shown from it.
+ */
+function applyChange(calendar) {
+  pendingChange = null;
+  document.getElementById('change-preview').hidden = true;
+  savedCalendar = calendar;
+  persistCalendar();
+  console.log(`Saved calendar to ${storageBackend.description}:`, savedCalendar);
+  showBiblicalYear(displayedYear);
+}
+
+/**
+ * Lists which months and feasts a pending change moves, and by how much.
+ */
+function displayChangePreview(description, diff) {
+  const formatDate = date => (date ? date.toLocaleDateString() : '–');
+  const formatShift = ({ before, after, days }) => {
+    if (!before) return 'added';
+    if (!after) return 'removed';
+    return `${days > 0 ? '+' : '−'}${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'}`;
+  };
+  const row = (label, entry) => `
+    <tr>
+      <td>${label}</td>
+      <td>${formatDate(entry.before)}</td>
+      <td>${formatDate(entry.after)}</td>
+      <td>${formatShift(entry)}</td>
+    </tr>
+  `;
+
+  const rows = [
+    ...diff.months.map(entry => row(`${entry.year}–${entry.year + 1}: Day 1 of Month ${entry.number}`, entry)),
+    ...diff.feasts.map(entry => row(`${entry.year}–${entry.year + 1}: ${escapeHtml(entry.name)}`, entry))
+  ];
+  const unused = diff.unused.map(entry =>
+    `<li>The saved Day 1 of Month ${entry.number} (${entry.year}–${entry.year + 1}), ${escapeHtml(entry.date)}, ` +
+    `would no longer match its new moon and will be ignored.</li>`);
+
+  const panel = document.getElementById('change-preview');
+  panel.querySelector('.change-description').textContent = `${description}. These dates will move:`;
+  panel.querySelector('tbody').innerHTML = rows.join('') || '<tr><td colspan="4">No dates move.</td></tr>';
+  panel.querySelector('ul').innerHTML = unused.join('');
+  panel.hidden = false;
+  panel.scrollIntoView?.({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Applies or cancels the previewed change.
+ */
+function addChangePreviewListeners() {
+  document.getElementById('apply-change-btn').addEventListener('click', () => {
+    if (pendingChange) applyChange(pendingChange.calendar);
+  });
+  document.getElementById('cancel-change-btn').addEventListener('click', () => {
+    pendingChange = null;
+    document.getElementById('change-preview').hidden = true;
+    displayReckoning(); // Undo a reckoning picked but not applied
+  });
+}
+
+/**
+ * Shows the barley reports, the 13th-month decision and the leap-year projection.
+ */
+function displayAvivReports(biblicalYear) {
+  const { year, decision } = biblicalYear;
+  const deadline = getAvivDeadline(biblicalYear).toLocaleDateString();
+  const nextAviv = biblicalYear.nextAviv.toLocaleDateString();
+
+  // 1. The decision for this year
+  const decisionText = document.getElementById('aviv-decision');
+  if (!decision) {
+    decisionText.textContent = `No barley reports for Month 12 yet. ` +
+      `Projection from the equinox: ${biblicalYear.months.length} months.`;
+  } else if (decision.status === 'aviv-found') {
+    const { date, location, reporter } = decision.evidence;
+    decisionText.textContent = `Aviv found on ${date} at ${location} (reported by ${reporter}). ` +
+      `Month 1 of ${year + 1} begins with the new moon of ${nextAviv}.`;
+  } else if (decision.status === 'pending') {
+    decisionText.textContent = `No Aviv barley reported yet. If none is found before the new moon of ${deadline}, ` +
+      `a 13th month will be added.`;
+  } else {
+    decisionText.textContent = `Aviv was not found before the new moon of ${deadline}: a 13th month is added, ` +
+      `and Month 1 of ${year + 1} moves to the new moon of ${nextAviv}.`;
+  }
+
+  // 2. The report log
+  const list = document.getElementById('aviv-report-list');
+  list.innerHTML = '';
+  (savedCalendar.years[year]?.avivReports || []).forEach(report => {
+    const li = document.createElement('li');
+    li.innerHTML = `
+      <strong>${escapeHtml(report.date)}</strong> – ${escapeHtml(report.state.toUpperCase())} at ${escapeHtml(report.location)}
+      (reported by ${escapeHtml(report.reporter)})
+      <button data-report-id="${escapeHtml(report.id)}">Remove</button>
+      ${report.notes ? `<em>${escapeHtml(report.notes)}</em>` : ''}
+    `;
+    list.appendChild(li);
+  });
+
+  // 3. The projection for the years ahead
+  const projection = document.getElementById('leap-projection');
+  projection.innerHTML = '';
+  projectLeapYears(year + 1, 5).forEach(({ year: projectedYear, intercalated }) => {
+    const li = document.createElement('li');
+    li.textContent = `${projectedYear}–${projectedYear + 1}: ` +
+      (intercalated ? 'likely 13 months (leap year)' : 'likely 12 months');
+    if (intercalated) li.className = 'leap';
+    projection.appendChild(li);
+  });
+}
+
+/**
+ * Handles adding and removing barley reports for the displayed year.
+ */
+function addAvivReportListeners() {
+  const form = document.getElementById('aviv-form');
+  const stateSelect = document.getElementById('aviv-state');
+  stateSelect.innerHTML = BARLEY_STATES
+    .map(state => `<option value="${state}">${state[0].toUpperCase() + state.slice(1)}</option>`)
+    .join('');
+  document.getElementById('aviv-date').value = toDateInputValue(new Date());
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+
+    let report;
+    try {
+      report = createBarleyReport({
+        date: document.getElementById('aviv-date').value,
+        location: document.getElementById('aviv-location').value,
+        reporter: document.getElementById('aviv-reporter').value,
+        state: stateSelect.value,
+        notes: document.getElementById('aviv-notes').value
+      });
+    } catch (error) {
+      alert(error.message);
       return;
     }
 
-    // --- Calculation ---
-    const feastDates = calculateFeasts(dayOne, monthNumber, waveSheafDateGlobal);
-    
-    // --- Store Wave Sheaf Date (if we just calculated it) ---
-    if (monthNumber === 1) {
-      const waveSheaf = feastDates.find(f => f.name.includes("Wave Sheaf"));
-      if (waveSheaf) {
-        waveSheafDateGlobal = waveSheaf.date;
-        console.log("Global Wave Sheaf Date SET:", waveSheafDateGlobal);
-        // (NEW) Re-save calendar to include the wave sheaf date
-        saveCalendarEntry(monthNumber, dayOne.toISOString());
-      }
+    // A report can add (or remove) a 13th month, which moves next year's feasts
+    form.reset();
+    document.getElementById('aviv-date').value = toDateInputValue(new Date());
+    proposeChange(`Barley report for ${report.date} added`, draft => {
+      const yearData = getYearData(draft, displayedYear);
+      yearData.avivReports = [...yearData.avivReports, report].sort((a, b) => a.date.localeCompare(b.date));
+    });
+  });
+
+  document.getElementById('aviv-report-list').addEventListener('click', (event) => {
+    if (event.target.tagName !== 'BUTTON') {
+      return;
     }
-    
-    // --- Display ---
-    displayFeasts(feastDates, monthNumber);
+    const { reportId } = event.target.dataset;
+    const report = getYearData(savedCalendar, displayedYear).avivReports.find(({ id }) => id === reportId);
+    proposeChange(`Barley report for ${report.date} removed`, draft => {
+      const yearData = getYearData(draft, displayedYear);
+      yearData.avivReports = yearData.avivReports.filter(({ id }) => id !== reportId);
+    });
   });
 }
 
+// =============================================
+// NEW MOON SIGHTINGS
+// =============================================
+
 /**
- * Helper function to add days to a date.
+ * Shows the displayed month's sighting reports, evening by evening,
+ * next to the predicted visibility, and what they add up to.
  */
-function addDays(date, days) {
-  const newDate = new Date(date);
-  newDate.setDate(newDate.getDate() + days);
-  return newDate;
+function displaySightings() {
+  const monthSelect = document.getElementById('sighting-month');
+  sightingMonth = Math.min(sightingMonth, displayedMonths.length);
+  monthSelect.innerHTML = displayedMonths
+    .map(({ number }) => `<option value="${number}">Month ${number}</option>`)
+    .join('');
+  monthSelect.value = sightingMonth;
+
+  const month = displayedMonths[sightingMonth - 1];
+  const authority = getAuthority();
+  const reports = getYearData(savedCalendar, displayedYear).sightings.filter(report => report.month === sightingMonth);
+  const summary = summarizeSightings(reports, {
+    conjunction: month.conjunction,
+    predictedEvenings: month.visibility.evenings,
+    authority
+  });
+  const confirming = findConfirmingEvening(summary);
+
+  // 1. What the reports add up to
+  const verdict = document.getElementById('sighting-verdict');
+  const confirmButton = document.getElementById('confirm-month-btn');
+  confirmButton.textContent = `Confirm Month ${sightingMonth}`;
+  confirmButton.disabled = !confirming;
+  if (confirming) {
+    verdict.textContent = `The crescent was seen with the naked eye on the evening of ` +
+      `${new Date(confirming.evening + 'T00:00:00').toLocaleDateString()}, ` +
+      `so Day 1 is ${confirming.dayOne.toLocaleDateString()}.`;
+  } else if (reports.length) {
+    verdict.textContent = 'No naked-eye sighting reported yet.';
+  } else {
+    verdict.textContent = `No reports for Month ${sightingMonth} yet.`;
+  }
+
+  // 2. Each evening, its prediction and its reports
+  const table = document.createElement('table');
+  table.className = 'sighting-table';
+  table.innerHTML = `
+    <thead>
+      <tr><th>Evening</th><th>Predicted (${escapeHtml(authority.name)})</th><th>Reports</th><th>Verdict</th></tr>
+    </thead>
+  `;
+  const body = document.createElement('tbody');
+  summary.forEach(({ evening, prediction, reports: eveningReports, weight }) => {
+    const row = document.createElement('tr');
+    if (weight.verdict === 'seen') row.className = 'seen';
+    row.innerHTML = `
+      <td>
+        ${new Date(evening + 'T00:00:00').toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+        <button class="sky-view-btn" data-evening="${evening}" title="Show the sky at sunset">Sky</button>
+      </td>
+      <td>${formatPrediction(prediction)}</td>
+      <td><ul>${eveningReports.map(createSightingItem).join('') || '<li>–</li>'}</ul></td>
+      <td>${SIGHTING_VERDICTS[weight.verdict]}</td>
+    `;
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+
+  const container = document.getElementById('sighting-evenings');
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+const SIGHTING_VERDICTS = {
+  'seen': 'Seen',
+  'aided': 'Seen only with optical aid',
+  'not-seen': 'Not seen',
+  'clouded-out': 'Clouded out',
+  'none': 'No reports'
+};
+
+/**
+ * A predicted q-value and Yallop class, e.g. "0.412 (A)".
+ */
+function formatPrediction(prediction) {
+  const q = prediction.q === null ? '–' : prediction.q.toFixed(3);
+  return `<span title="${prediction.category.label}">${q} (${prediction.category.code})</span>`;
 }
 
 /**
- * The core logic. Calculates all feast dates for a given month.
+ * One sighting report, with the prediction for its own place.
  */
-function calculateFeasts(dayOne, monthNumber, waveSheafDate = null) {
-  const calculatedFeasts = [];
+function createSightingItem(report) {
+  const details = [report.place.name, report.time, report.aid.replace('-', ' '), report.sky.replace('-', ' ')]
+    .filter(Boolean)
+    .join(', ');
+  return `
+    <li>
+      <strong>${report.seen ? 'Seen' : 'Not seen'}</strong> by ${escapeHtml(report.observer)} (${escapeHtml(details)})
+      <span class="predicted">predicted there: ${formatPrediction(report.prediction)}</span>
+      <button data-report-id="${escapeHtml(report.id)}">Remove</button>
+      ${report.notes ? `<em>${escapeHtml(report.notes)}</em>` : ''}
+    </li>
+  `;
+}
 
-  // 1. Find all feasts that are for this specific month number
-  const feastsThisMonth = FEASTS.filter(feast => feast.month === monthNumber);
+/**
+ * Handles the month picker, adding and removing reports, and confirming a month.
+ */
+function addSightingListeners() {
+  const form = document.getElementById('sighting-form');
+  const locationSelect = document.getElementById('sighting-location');
+  const optionsFor = values => values
+    .map(value => `<option value="${value}">${value[0].toUpperCase() + value.slice(1).replace('-', ' ')}</option>`)
+    .join('');
+  document.getElementById('sighting-aid').innerHTML = optionsFor(SIGHTING_AIDS);
+  document.getElementById('sighting-sky').innerHTML = optionsFor(SKY_CONDITIONS);
+  const resetForm = () => {
+    form.reset();
+    fillLocationSelect(locationSelect, getObserver().id === 'custom' ? 'jerusalem' : getObserver().id);
+    document.getElementById('sighting-evening').value = toDateInputValue(new Date());
+  };
+  resetForm();
+
+  document.getElementById('sighting-month').addEventListener('change', (event) => {
+    sightingMonth = Number(event.target.value);
+    displaySightings();
+  });
 
-  feastsThisMonth.forEach(feast => {
-    // Handle simple "Day X" feasts
-    if (typeof feast.day === 'number') {
-      const feastDate = addDays(dayOne, feast.day - 1);
-      calculatedFeasts.push({ ...feast, date: feastDate });
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+
+    let report;
+    try {
+      report = createSightingReport({
+        month: sightingMonth,
+        evening: document.getElementById('sighting-evening').value,
+        time: document.getElementById('sighting-time').value,
+        observer: document.getElementById('sighting-observer').value,
+        location: locationSelect.value,
+        aid: document.getElementById('sighting-aid').value,
+        sky: document.getElementById('sighting-sky').value,
+        seen: document.getElementById('sighting-seen').value === 'yes',
+        notes: document.getElementById('sighting-notes').value
+      });
+    } catch (error) {
+      alert(error.message);
+      return;
     }
+
+    const yearData = getYearData(savedCalendar, displayedYear);
+    yearData.sightings = [...yearData.sightings, report]
+      .sort((a, b) => a.evening.localeCompare(b.evening) || a.time.localeCompare(b.time));
+    persistCalendar();
+    resetForm();
+    displaySightings();
   });
 
-  // 2. Handle special case: Wave Sheaf (Month 1)
-  if (monthNumber === 1) {
-    const ubDay15 = addDays(dayOne, 14); // Start of Unleavened Bread
-    let foundWaveSheafDate = null;
-    
-    for (let i = 0; i < 7; i++) {
-      let testDate = addDays(ubDay15, i);
-      if (testDate.getDay() === 0) { // 0 = Sunday
-        foundWaveSheafDate = testDate;
-        break;
-      }
+  document.getElementById('sighting-evenings').addEventListener('click', (event) => {
+    if (event.target.tagName !== 'BUTTON') {
+      return;
     }
+    if (event.target.dataset.evening) {
+      openSkyView(event.target.dataset.evening);
+      return;
+    }
+    const yearData = getYearData(savedCalendar, displayedYear);
+    yearData.sightings = yearData.sightings.filter(report => report.id !== event.target.dataset.reportId);
+    persistCalendar();
+    displaySightings();
+  });
 
-    if (foundWaveSheafDate) {
-      FEASTS.filter(f => f.day === 'morrow_after_weekly_sabbath' && f.month === 1)
-            .forEach(f => {
-              calculatedFeasts.push({ ...f, date: foundWaveSheafDate });
-            });
+  document.getElementById('confirm-month-btn').addEventListener('click', () => {
+    const month = displayedMonths[sightingMonth - 1];
+    const reports = getYearData(savedCalendar, displayedYear).sightings.filter(report => report.month === sightingMonth);
+    const confirming = findConfirmingEvening(summarizeSightings(reports, {
+      conjunction: month.conjunction,
+      predictedEvenings: month.visibility.evenings,
+      authority: getAuthority()
+    }));
+    if (!confirming) return;
+
+    const dateString = toDateInputValue(confirming.dayOne);
+    const errors = checkMonthEntry({ date: dateString, monthNumber: sightingMonth, waveSheafDate: waveSheafDateGlobal });
+    const invalid = errors.find(error => error.code !== 'WAVE_SHEAF_REQUIRED');
+    if (invalid) {
+      alert(invalid.message);
+      return;
+    }
+    const needsWaveSheaf = errors.find(error => error.code === 'WAVE_SHEAF_REQUIRED');
+    if (needsWaveSheaf) {
+      alert(needsWaveSheaf.message);
     }
+
+    const evidence = createConfirmationEvidence(confirming);
+    proposeChange(`Day 1 of Month ${sightingMonth} confirmed as ${confirming.dayOne.toLocaleDateString()} ` +
+      `from ${confirming.reports.length} naked-eye sighting report${confirming.reports.length === 1 ? '' : 's'}`,
+      draft => setConfirmedDayOne(draft, displayedYear, sightingMonth, dateString, evidence));
+  });
+}
+
+// =============================================
+// RECKONING
+// =============================================
+
+/**
+ * Shows which reckoning of the Wave Sheaf (and so Shavuot) is in use.
+ */
+function displayReckoning() {
+  const select = document.getElementById('reckoning-select');
+  const { reckoning } = savedCalendar.settings;
+  select.innerHTML = Object.entries(RECKONINGS)
+    .map(([id, { name }]) => `<option value="${id}">${name}</option>`)
+    .join('');
+  select.value = reckoning;
+  document.getElementById('reckoning-description').textContent = RECKONINGS[reckoning].description;
+  document.getElementById('reckoning-comparison').hidden = true;
+}
+
+/**
+ * Lists the displayed year's feasts that fall differently under each reckoning.
+ */
+function displayReckoningComparison() {
+  const comparison = compareReckonings({ year: displayedYear, calendar: savedCalendar });
+  const dateOf = (entry, id) => entry.feasts.find(feast => feast.id === id)?.date;
+  const formatDate = date => (date
+    ? date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })
+    : '–');
+
+  // Only the feasts whose date depends on the reckoning
+  const columns = comparison[0].feasts.filter(feast =>
+    comparison.some(entry => dateOf(entry, feast.id)?.getTime() !== feast.date.getTime()));
+
+  const rows = comparison.map(entry => `
+    <tr${entry.reckoning === savedCalendar.settings.reckoning ? ' class="current"' : ''}>
+      <td><strong>${entry.name}</strong><br><span class="rule">${entry.description}</span></td>
+      ${columns.map(feast => `<td>${formatDate(dateOf(entry, feast.id))}</td>`).join('')}
+    </tr>
+  `);
+
+  const panel = document.getElementById('reckoning-comparison');
+  panel.innerHTML = `
+    <table>
+      <thead>
+        <tr><th>Reckoning</th>${columns.map(feast => `<th>${escapeHtml(feast.name)}</th>`).join('')}</tr>
+      </thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+  `;
+  panel.hidden = false;
+}
+
+/**
+ * Changes the reckoning (through the change preview) and compares them all.
+ */
+function addReckoningListeners() {
+  const select = document.getElementById('reckoning-select');
+  select.addEventListener('change', () => {
+    const reckoning = select.value;
+    proposeChange(`Wave Sheaf reckoning changed to "${RECKONINGS[reckoning].name}"`,
+      draft => { draft.settings.reckoning = reckoning; });
+  });
+  document.getElementById('compare-reckonings-btn').addEventListener('click', displayReckoningComparison);
+}
+
+// =============================================
+// CUSTOM OBSERVANCES
+// =============================================
+
+/**
+ * Lists the user's own observances (see feastRules.js for the rule format).
+ */
+function displayObservances() {
+  const list = document.getElementById('observance-list');
+  const { observances } = savedCalendar.settings;
+  if (observances.length === 0) {
+    list.innerHTML = '<li>No custom observances. Load a JSON file such as observances.example.json.</li>';
+    return;
   }
-  
-  // 3. Handle special case: Shavuot (Month 3)
-  if (monthNumber === 3 && waveSheafDate) {
-    const shavuotDate = addDays(waveSheafDate, 49);
-    
-    const shavuotFeast = FEASTS.find(f => f.day === '50_days_from_wave_sheaf');
-    if (shavuotFeast) {
-      calculatedFeasts.push({ ...shavuotFeast, date: shavuotDate });
+  list.innerHTML = observances.map(observance => `
+    <li>
+      <strong>${escapeHtml(observance.name)}</strong> <span class="rule">${escapeHtml(describeRule(observance.rule, feastNameOf))}</span>
+      <button class="remove-observance" data-observance-id="${escapeHtml(observance.id)}">Remove</button>
+    </li>
+  `).join('');
+}
+
+/**
+ * A feast or observance name by id, for describing rules.
+ */
+function feastNameOf(id) {
+  return [...FEASTS, ...savedCalendar.settings.observances].find(feast => feast.id === id)?.name ?? id;
+}
+
+/**
+ * Loads observances from a JSON file and removes them again. Both go through
+ * the change preview, since they add or remove feasts.
+ */
+function addObservanceListeners() {
+  const fileInput = document.getElementById('import-observances-file');
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    let result;
+    try {
+      result = parseObservances(await file.text(), FEASTS);
+    } catch (error) {
+      alert(`Could not load ${file.name}: ${error.message}`);
+      return;
+    } finally {
+      fileInput.value = '';
     }
+    showStorageProblems(result.problems);
+    if (result.observances.length === 0) {
+      alert(`${file.name} has no observances that could be used.`);
+      return;
+    }
+
+    const replacing = savedCalendar.settings.observances.length > 0 ? ', replacing the current ones' : '';
+    proposeChange(`${result.observances.length} observance${result.observances.length === 1 ? '' : 's'} ` +
+      `loaded from ${file.name}${replacing}`,
+      draft => { draft.settings.observances = result.observances; });
+  });
+
+  document.getElementById('observance-list').addEventListener('click', event => {
+    const button = event.target.closest('.remove-observance');
+    if (!button) return;
+    const { observanceId } = button.dataset;
+    const remaining = savedCalendar.settings.observances.filter(observance => observance.id !== observanceId);
+    const dependents = remaining.filter(observance =>
+      [observance.rule.to, observance.rule.after?.feast].includes(observanceId));
+    if (dependents.length > 0) {
+      alert(`${dependents.map(observance => observance.name).join(', ')} count${dependents.length === 1 ? 's' : ''} ` +
+        `from this observance. Remove ${dependents.length === 1 ? 'it' : 'them'} first.`);
+      return;
+    }
+    proposeChange(`Observance "${button.closest('li').querySelector('strong').textContent}" removed`,
+      draft => { draft.settings.observances = remaining; });
+  });
+}
+
+/**
+ * Builds the list item for a single feast day.
+ */
+function createFeastItem(feast, timeZone) {
+  const li = document.createElement('li');
+  const kind = feast.highSabbath
+    ? '<span class="day-kind high-sabbath">High Sabbath</span>'
+    : (feast.span ? '<span class="day-kind work-day">Work day</span>' : '');
+  li.innerHTML = `
+    <strong>${escapeHtml(feast.name)}</strong>: ${feast.date.toLocaleDateString()} ${kind}
+    ${feast.custom ? '<span class="day-kind custom">Custom</span>' : ''}
+    ${feast.tentative ? '<span class="day-kind tentative" title="Depends on a month not yet confirmed">Tentative</span>' : ''}
+    <span class="sundown">Begins at sundown on ${formatSundown(feast.start, timeZone)},
+      ends at sundown on ${formatSundown(feast.end, timeZone)}${feast.estimated ? ' (the sun does not set here: 18:00 local mean time)' : ''}</span>
+    ${createFeastEclipseLine(feast, timeZone)}
+    ${feast.reckoning ? `<span class="rule">${RECKONINGS[feast.reckoning].name}: ${escapeHtml(describeRule(feast.rule, feastNameOf))}</span>` : ''}
+    ${createRabbinicLine(feast.rabbinic)}
+    <em>(${escapeHtml(feast.description)})</em>
+  `;
+  return li;
+}
+
+/**
+ * The eclipses whose greatest moment falls on a feast day, if any.
+ */
+function createFeastEclipseLine(feast, timeZone) {
+  return displayedEclipses
+    .filter(eclipse => eclipse.date >= feast.start && eclipse.date < feast.end)
+    .map(eclipse => `<span class="eclipse">${describeEclipse(eclipse)}, greatest at ` +
+      `${formatInTimeZone(eclipse.date, timeZone, { hour: 'numeric', minute: '2-digit' })}: ` +
+      `${describeLocalCircumstances(eclipse, eclipse.local)}</span>`)
+    .join('');
+}
+
+/**
+ * The Rabbinic (Hillel II) date of a feast and how far it is from ours.
+ */
+function createRabbinicLine(rabbinic) {
+  if (!rabbinic) {
+    return '<span class="rabbinic">Rabbinic calendar: no equivalent day</span>';
   }
-  
-  return calculatedFeasts.sort((a, b) => a.date - b.date); // Sort by date
+  const { difference } = rabbinic;
+  const days = `${Math.abs(difference)} day${Math.abs(difference) === 1 ? '' : 's'}`;
+  const comparison = difference === 0 ? 'same day' : `${days} ${difference > 0 ? 'later' : 'earlier'}`;
+  const classes = Math.abs(difference) > 15 ? 'rabbinic month-apart' : 'rabbinic';
+  return `<span class="${classes}">Rabbinic calendar: ${rabbinic.date.toLocaleDateString()} ` +
+    `(${rabbinic.label}), ${comparison}</span>`;
+}
+
+/**
+ * Says whether this year's month numbering agrees with the Rabbinic calendar.
+ */
+function displayRabbinicComparison(rabbinic, biblicalYear) {
+  const note = document.getElementById('rabbinic-note');
+  const nextHebrewYear = rabbinic.hebrewYear + 1;
+  const messages = [];
+
+  if (rabbinic.monthApart) {
+    const direction = rabbinic.nisanOffsetDays < 0 ? 'before' : 'after';
+    messages.push(`Feasts are a month apart from the Rabbinic calendar this year: Month 1 begins ` +
+      `${Math.abs(rabbinic.nisanOffsetDays)} days ${direction} 1 Nisan ${rabbinic.hebrewYear}.`);
+  }
+  if (rabbinic.leapDisagrees) {
+    messages.push(rabbinic.rabbinicLeap
+      ? `The Rabbinic calendar adds Adar II before next Nisan (${nextHebrewYear} is a leap year), ` +
+        `but this year has ${biblicalYear.months.length} months.`
+      : `This year has a 13th month, but the Rabbinic calendar does not add Adar II before next Nisan ` +
+        `(${nextHebrewYear} is a common year).`);
+  }
+  if (messages.length === 0) {
+    const offset = Math.abs(rabbinic.nisanOffsetDays);
+    messages.push(`Month numbering agrees with the Rabbinic calendar (Hebrew year ${rabbinic.hebrewYear}); ` +
+      `Month 1 begins ${offset} day${offset === 1 ? '' : 's'} from 1 Nisan.`);
+  }
+
+  note.textContent = messages.join(' ');
+  note.classList.toggle('flagged', rabbinic.monthApart || rabbinic.leapDisagrees);
+}
+
+/**
+ * Builds an expandable list item for a multi-day feast, e.g. "Sukkot, days 1–7".
+ */
+function createSpanItem(days, timeZone) {
+  const first = days[0];
+  const last = days[days.length - 1];
+  const li = document.createElement('li');
+  li.className = 'feast-span';
+  li.innerHTML = `
+    <details>
+      <summary>
+        <strong>${escapeHtml(FEAST_SPANS[first.span]?.short ?? first.name.replace(/ - Day \d+$/, ''))}, days ${first.spanDay}–${last.spanDay}</strong>:
+        ${first.date.toLocaleDateString()} – ${last.date.toLocaleDateString()}
+        <span class="sundown">Begins at sundown on ${formatSundown(first.start, timeZone)},
+          ends at sundown on ${formatSundown(last.end, timeZone)}</span>
+      </summary>
+      <ul></ul>
+    </details>
+  `;
+  const dayList = li.querySelector('ul');
+  days.forEach(day => dayList.appendChild(createFeastItem(day, timeZone)));
+  return li;
 }
 
 /**
@@ -281,6 +1083,7 @@ function calculateFeasts(dayOne, monthNumber, waveSheafDate = null) {
  */
 function displayFeasts(feastDates, monthNumber) {
   const feastListDiv = document.getElementById('feast-day-list');
+  const { timeZone } = getObserver();
   
   const monthFeastContainer = document.createElement('div');
   monthFeastContainer.id = `month-${monthNumber}-feasts`;
@@ -294,13 +1097,17 @@ function displayFeasts(feastDates, monthNumber) {
   if (feastDates.length === 0) {
     outputList.innerHTML = '<li>No fixed feasts found for this month.</li>';
   } else {
+    const shownSpans = new Set();
     feastDates.forEach(feast => {
-      const li = document.createElement('li');
-      li.innerHTML = `
-        <strong>${feast.name}</strong>: ${feast.date.toLocaleDateString()}
-        <em>(${feast.description})</em>
-      `;
-      outputList.appendChild(li);
+      // Multi-day feasts are grouped under their first day
+      if (feast.span) {
+        if (!shownSpans.has(feast.span)) {
+          shownSpans.add(feast.span);
+          outputList.appendChild(createSpanItem(feastDates.filter(f => f.span === feast.span), timeZone));
+        }
+        return;
+      }
+      outputList.appendChild(createFeastItem(feast, timeZone));
     });
   }
   monthFeastContainer.appendChild(outputList);
@@ -313,42 +1120,271 @@ function displayFeasts(feastDates, monthNumber) {
   }
 }
 
+/**
+ * Renders the 50 days of the omer count from the Wave Sheaf to Shavuot.
+ */
+function displayOmer() {
+  const omerDiv = document.getElementById('omer-list');
+  if (!waveSheafDateGlobal) {
+    omerCount = null;
+    omerDiv.innerHTML = '<p>Calculate Month 1 to set the Wave Sheaf and start the count.</p>';
+    return;
+  }
+
+  const observer = getObserver();
+  omerCount = countOmer(waveSheafDateGlobal, observer.lat, observer.lon);
+  const today = getOmerDayFor(new Date(), omerCount);
+
+  const table = document.createElement('table');
+  table.className = 'omer-table';
+  table.innerHTML = `
+    <thead>
+      <tr><th>Count</th><th>Date</th><th>Begins at sundown</th></tr>
+    </thead>
+  `;
+  const body = document.createElement('tbody');
+  omerCount.forEach(entry => {
+    const row = document.createElement('tr');
+    if (entry === today) row.className = 'today';
+    const label = entry.day === 50 ? `${entry.label} (Shavuot)` : entry.label;
+    row.innerHTML = `
+      <td>${label[0].toUpperCase() + label.slice(1)}</td>
+      <td>${entry.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</td>
+      <td>${formatSundown(entry.start, observer.timeZone)}</td>
+    `;
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+
+  omerDiv.innerHTML = '';
+  omerDiv.appendChild(table);
+  updateLocalInfo();
+}
+
 // =============================================
-// PHASE 2 - LIVE VISUALS
+// LOCATIONS
 // =============================================
 
 /**
- * Converts the sun's ecliptic longitude into a Zodiac sign.
- */
-function getZodiacSign(longitude) {
-  const ZODIAC = [
-    { sign: 'Aries', start: 21 },
-    { sign: 'Taurus', start: 51 },
-    { sign: 'Gemini', start: 81 },
-    { sign: 'Cancer', start: 111 },
-    { sign: 'Leo', start: 141 },
-    { sign: 'Virgo', start: 174 },
-    { sign: 'Libra', start: 204 },
-    { sign: 'Scorpio', start: 234 },
-    { sign: 'Sagittarius', start: 266 },
-    { sign: 'Capricorn', start: 296 },
-    { sign: 'Aquarius', start: 326 },
-    { sign: 'Pisces', start: 355 }
-  ];
-  
-  const longitudeDeg = longitude * 180 / Math.PI;
-
-  let sunSign = 'Pisces'; // Default (handles wraparound)
-  for (const sign of ZODIAC) {
-    if (longitudeDeg >= sign.start) {
-      sunSign = sign.sign;
-    } else {
-      break; 
+ * The location whose sighting decides the months (Jerusalem by default).
+ */
+function getAuthority() {
+  return resolveLocation(savedCalendar.settings.locations.authority);
+}
+
+/**
+ * The location whose local times are shown (sunsets, moonrise, sighting conditions).
+ */
+function getObserver() {
+  return resolveLocation(savedCalendar.settings.locations.observer);
+}
+
+/**
+ * Fills the location pickers and reacts to changes.
+ */
+function addLocationListeners() {
+  const authoritySelect = document.getElementById('authority-select');
+  const observerSelect = document.getElementById('observer-select');
+  fillLocationSelect(authoritySelect, savedCalendar.settings.locations.authority);
+  fillLocationSelect(observerSelect, savedCalendar.settings.locations.observer);
+
+  authoritySelect.addEventListener('change', () => {
+    savedCalendar.settings.locations.authority = authoritySelect.value;
+    persistCalendar();
+    showBiblicalYear(displayedYear);
+  });
+
+  observerSelect.addEventListener('change', () => {
+    if (observerSelect.value !== 'custom') {
+      savedCalendar.settings.locations.observer = observerSelect.value;
     }
+    onObserverChanged();
+  });
+
+  document.getElementById('geolocate-btn').addEventListener('click', () => {
+    if (!navigator.geolocation) {
+      alert('Your browser does not support geolocation. Please pick the nearest city instead.');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        savedCalendar.settings.locations.observer = createCustomLocation({
+          name: 'My Location',
+          lat: position.coords.latitude,
+          lon: position.coords.longitude,
+          elevation: position.coords.altitude,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+        fillLocationSelect(observerSelect, savedCalendar.settings.locations.observer);
+        onObserverChanged();
+      },
+      (error) => {
+        alert(`Could not get your location: ${error.message}`);
+      }
+    );
+  });
+}
+
+/**
+ * Lists the gazetteer (plus a saved custom location) in a <select>.
+ */
+function fillLocationSelect(select, setting) {
+  select.innerHTML = GAZETTEER
+    .map(city => `<option value="${city.id}">${city.name}, ${city.country}</option>`)
+    .join('');
+
+  if (setting && typeof setting === 'object') {
+    const custom = resolveLocation(setting);
+    select.insertAdjacentHTML('afterbegin',
+      `<option value="custom">${escapeHtml(custom.name)} (${custom.lat.toFixed(2)}°, ${custom.lon.toFixed(2)}°)</option>`);
   }
-  return sunSign;
+  select.value = resolveLocation(setting).id;
 }
 
+/**
+ * Saves the new observer and redraws everything shown in local time.
+ */
+function onObserverChanged() {
+  persistCalendar();
+  showBiblicalYear(displayedYear);
+  updateLocalInfo();
+}
+
+/**
+ * Shows today's sunset, moonrise/moonset and crescent conditions for the observer.
+ */
+function updateLocalInfo() {
+  const observer = getObserver();
+  const now = new Date();
+  const time = date => formatInTimeZone(date, observer.timeZone, { hour: 'numeric', minute: '2-digit' });
+
+  const sunTimes = SunCalc.getTimes(now, observer.lat, observer.lon);
+  const moonTimes = SunCalc.getMoonTimes(now, observer.lat, observer.lon);
+  const parts = [`Sunset ${time(sunTimes.sunset)}`];
+  if (moonTimes.rise) parts.push(`Moonrise ${time(moonTimes.rise)}`);
+  if (moonTimes.set) parts.push(`Moonset ${time(moonTimes.set)}`);
+  document.getElementById('local-times-text').textContent = `${observer.name}: ${parts.join(' · ')}`;
+
+  // Sighting conditions, only in the evenings just after a new moon
+  const sightingText = document.getElementById('sighting-text');
+  const conjunction = findNextNewMoon(new Date(now.getTime() - 3 * DAY_MS));
+  const tonight = conjunction < now ? assessTonight(now, conjunction, observer.lat, observer.lon) : null;
+  sightingText.textContent = tonight
+    ? `Tonight's crescent: q = ${tonight.q === null ? '–' : tonight.q.toFixed(3)} ` +
+      `(${tonight.category.code}: ${tonight.category.label})`
+    : '';
+
+  // Today's omer count (the day changes at sundown)
+  const omerToday = omerCount ? getOmerDayFor(now, omerCount) : null;
+  document.getElementById('omer-text').textContent = omerToday
+    ? `Omer: today is ${omerToday.label} of the omer.`
+    : '';
+
+  updateMazzaroth();
+  updateLiveEclipses(observer, now);
+}
+
+/**
+ * Finds the eclipses in progress or in the next 30 days and describes the first.
+ */
+function updateLiveEclipses(observer, now) {
+  liveEclipses = findEclipsesBetween(new Date(now - 4 * 60 * 60 * 1000), new Date(now.getTime() + 30 * DAY_MS))
+    .map(eclipse => ({ ...eclipse, local: getLocalCircumstances(eclipse, observer) }))
+    .filter(eclipse => (eclipse.kind === 'lunar' ? eclipse.phases.penumbral.end : eclipse.local.end ?? eclipse.date) > now);
+
+  const eclipseText = document.getElementById('eclipse-text');
+  const next = liveEclipses[0];
+  if (!next) {
+    eclipseText.textContent = '';
+    return;
+  }
+  const phase = next.kind === 'lunar' ? getLunarEclipsePhase(next, now) : null;
+  const when = formatInTimeZone(next.date, observer.timeZone, {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+  eclipseText.textContent = (phase ? `${describeEclipse(next)} in progress (${phase} phase), greatest ${when}`
+    : `Next eclipse: ${describeEclipse(next)}, greatest ${when}`) +
+    ` · ${observer.name}: ${describeLocalCircumstances(next, next.local)}`;
+}
+
+// =============================================
+// MAZZAROTH
+// =============================================
+
+/**
+ * Shows the constellation or sign the sun and moon are in, and when each
+ * next moves on, in the observer's time zone.
+ */
+function updateMazzaroth() {
+  const sunText = document.getElementById('sun-zodiac-text');
+  const moonText = document.getElementById('moon-zodiac-text');
+  document.getElementById('zodiac-system-select').value = zodiacSystem;
+
+  if (zodiacSystem === 'constellations' && !constellationLocator) {
+    sunText.textContent = constellationLoadError
+      ? `Could not load the constellation boundaries (${constellationLoadError}); choose signs instead.`
+      : 'Loading constellation boundaries...';
+    moonText.textContent = '';
+    return;
+  }
+
+  const observer = getObserver();
+  const now = new Date();
+  const options = { system: zodiacSystem, locator: constellationLocator };
+  const when = date => formatInTimeZone(date, observer.timeZone, {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+  const describe = (label, body) => {
+    const position = getZodiacPosition(body, now, options);
+    const next = findNextZodiacEntry(body, now, options);
+    return `${label} in ${position.name}` + (next ? ` · enters ${next.name} ${when(next.date)}` : '');
+  };
+
+  sunText.textContent = describe('Sun', 'sun');
+  moonText.textContent = describe('Moon', 'moon');
+}
+
+/**
+ * Loads the IAU constellation boundaries for the 'constellations' system.
+ */
+async function loadConstellationBounds() {
+  try {
+    const response = await fetch('constellations.bounds.json');
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    constellationLocator = createConstellationLocator(await response.json());
+  } catch (error) {
+    console.error("Could not load the constellation boundaries:", error);
+    constellationLoadError = error.message;
+  }
+  updateMazzaroth();
+}
+
+/**
+ * Fills in the zodiac system picker and remembers the choice in this browser.
+ */
+function addMazzarothListeners() {
+  const saved = localStorage.getItem(ZODIAC_SETTING_KEY);
+  if (ZODIAC_SYSTEMS[saved]) zodiacSystem = saved;
+
+  const select = document.getElementById('zodiac-system-select');
+  select.innerHTML = Object.entries(ZODIAC_SYSTEMS)
+    .map(([id, system]) => `<option value="${id}" title="${system.description}">${system.name}</option>`)
+    .join('');
+  select.value = zodiacSystem;
+
+  select.addEventListener('change', () => {
+    zodiacSystem = select.value;
+    localStorage.setItem(ZODIAC_SETTING_KEY, zodiacSystem);
+    updateMazzaroth();
+  });
+
+  loadConstellationBounds();
+}
+
+// =============================================
+// PHASE 2 - LIVE VISUALS
+// =============================================
+
 /**
  * Main loop to update visuals in real-time.
  */
@@ -362,8 +1398,24 @@ function startLiveVisuals() {
 
   animate();
 
+  // Local times change slowly, so refresh them once a minute
+  function refreshLocalInfo() {
+    updateLocalInfo();
+    setTimeout(refreshLocalInfo, 60 * 1000);
+  }
+  
+  refreshLocalInfo();
+
   const moonPhaseText = document.getElementById('moon-phase-text');
-  const sunZodiacText = document.getElementById('sun-zodiac-text');
+  const moonOrientationText = document.getElementById('moon-orientation-text');
+
+  // The toggle is gone if the 3D scene could not be shown
+  document.getElementById('real-orientation-toggle')?.addEventListener('change', (e) => {
+    realOrientation = e.target.checked;
+    const canvas = document.getElementById('moon-canvas');
+    canvas.classList.toggle('real-orientation', realOrientation);
+    canvas.style.cursor = '';
+  });
 
   function update() {
     const now = new Date();
@@ -382,13 +1434,13 @@ function startLiveVisuals() {
     else if (phase < 0.78) phaseName = 'Third Quarter';
     else phaseName = 'Waning Crescent';
 
-    const sunInfo = SunCalc.getSunInfo(now, JERUSALEM_LAT, JERUSALEM_LON);
-    const sunSign = getZodiacSign(sunInfo.eclipticLongitude);
-
+    const observer = getObserver();
     moonPhaseText.textContent = `Current Phase: ${phaseName} (${phasePercent}%)`;
-    sunZodiacText.textContent = `Sun's Position: ${sunSign}`;
-    
-    update3DScene(moonIllum.angle);
+
+    const orientation = getMoonOrientation(now, observer.lat, observer.lon);
+    const lunarEclipse = liveEclipses.find(eclipse => eclipse.kind === 'lunar');
+    update3DScene(orientation, lunarEclipse ? getLunarEclipsePhase(lunarEclipse, now) : null);
+    moonOrientationText.textContent = describeMoonOrientation(orientation);
 
     setTimeout(update, 1000);
   }
@@ -396,6 +1448,20 @@ function startLiveVisuals() {
   update();
 }
 
+/**
+ * Opens the full-screen sky view at the observer's sunset on an evening (YYYY-MM-DD).
+ */
+function openSkyView(evening) {
+  try {
+    skyView ??= createSkyView(document.getElementById('sky-view'));
+  } catch (error) {
+    console.error("Could not initialize the sky view:", error);
+    alert(`Could not show the sky view: ${error.message}`);
+    return;
+  }
+  skyView.open({ location: getObserver(), evening });
+}
+
 // =============================================
 // PHASE 3 - 3D ENGINE
 // =============================================
@@ -421,13 +1487,18 @@ function init3DScene() {
   renderer.setSize(canvas.clientWidth, canvas.clientHeight);
   renderer.setPixelRatio(window.devicePixelRatio);
 
-  const ambientLight = new THREE.AmbientLight(0xffffff, 0.1);
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.03);
   scene.add(ambientLight);
 
   sunLight = new THREE.DirectionalLight(0xffffff, 2.0);
   sunLight.position.set(1, 0, 1);
   scene.add(sunLight);
 
+  // Sunlight reflected by the earth, from the viewer's side; bluish like the earth
+  earthshineLight = new THREE.DirectionalLight(0x9fb8ff, 0);
+  earthshineLight.position.set(0, 0, 1);
+  scene.add(earthshineLight);
+
   const textureLoader = new THREE.TextureLoader();
   const colorTexture = textureLoader.load(
     'https://svs.gsfc.nasa.gov/vis/a000000/a004700/a004720/lroc_color_projp.png'
@@ -445,7 +1516,10 @@ function init3DScene() {
     roughness: 1,
   });
   moonMesh = new THREE.Mesh(geometry, material);
-  scene.add(moonMesh);
+  // The group tilts the moon's axis in the observer's sky; the mesh turns for libration
+  moonGroup = new THREE.Group();
+  moonGroup.add(moonMesh);
+  scene.add(moonGroup);
 
   addMouseControls(canvas);
 
@@ -459,7 +1533,7 @@ function init3DScene() {
 function animate() {
   requestAnimationFrame(animate);
 
-  if (moonMesh && !isDragging) {
+  if (moonMesh && !isDragging && !realOrientation) {
     moonMesh.rotation.y += 0.001;
   }
   
@@ -468,14 +1542,66 @@ function animate() {
   }
 }
 
-function update3DScene(moonAngle) {
+// Strongest earthshine, on the dark side of a thin crescent
+const EARTHSHINE_INTENSITY = 0.25;
+// Sunlight on the moon in each phase of a lunar eclipse: the umbra leaves
+// only red light bent through the earth's atmosphere
+const ECLIPSE_LIGHT = {
+  penumbral: { color: 0xfff0e0, intensity: 1.4 },
+  partial: { color: 0xffa070, intensity: 0.8 },
+  total: { color: 0xc04020, intensity: 0.35 }
+};
+
+/**
+ * Lights and turns the moon as the observer sees it (see getMoonOrientation),
+ * dimmed and reddened during a lunar eclipse (`eclipsePhase`, see getLunarEclipsePhase).
+ * The camera looks at the moon with the observer's zenith up, so angles
+ * measured from celestial north are turned by the parallactic angle.
+ */
+function update3DScene(orientation, eclipsePhase) {
   if (!sunLight) return;
-  sunLight.position.x = Math.cos(moonAngle);
-  sunLight.position.z = Math.sin(moonAngle);
+
+  const light = ECLIPSE_LIGHT[eclipsePhase] ?? { color: 0xffffff, intensity: 2.0 };
+  sunLight.color.setHex(light.color);
+  sunLight.intensity = light.intensity;
+
+  // Bright limb direction on the screen (counter-clockwise from up),
+  // then tipped away from the viewer by the phase angle
+  const limb = orientation.brightLimbAngle - orientation.parallacticAngle;
+  const phase = orientation.phaseAngle;
+  sunLight.position.set(-Math.sin(limb) * Math.sin(phase), Math.cos(limb) * Math.sin(phase), Math.cos(phase));
+  earthshineLight.intensity = EARTHSHINE_INTENSITY * orientation.earthshine ** 2;
+
+  if (!realOrientation) {
+    moonGroup.rotation.z = 0;
+    return;
+  }
+
+  // The texture's longitude 0 faces +x, so turn it to the viewer (+z),
+  // then by the libration in longitude and latitude
+  moonMesh.rotation.set(orientation.libration.latitude, -Math.PI / 2 - orientation.libration.longitude, 0);
+  moonGroup.rotation.z = orientation.axisAngle - orientation.parallacticAngle;
+}
+
+/**
+ * A line describing the crescent's tilt and the libration, e.g.
+ * "Bright limb 62° right of up · Libration 4.1° E, 2.3° N".
+ */
+function describeMoonOrientation(orientation) {
+  const degrees = angle => Math.abs(angle * 180 / Math.PI).toFixed(1);
+  const limb = Math.atan2(
+    Math.sin(orientation.brightLimbAngle - orientation.parallacticAngle),
+    Math.cos(orientation.brightLimbAngle - orientation.parallacticAngle)
+  );
+  const side = limb > 0 ? 'left' : 'right';
+  const { longitude, latitude } = orientation.libration;
+  return `Bright limb ${degrees(limb)}° ${side} of up · ` +
+    `Libration ${degrees(longitude)}° ${longitude >= 0 ? 'E' : 'W'}, ${degrees(latitude)}° ${latitude >= 0 ? 'N' : 'S'}`;
 }
 
 function addMouseControls(canvas) {
   canvas.addEventListener('mousedown', (e) => {
+    if (realOrientation) return;
     isDragging = true;
     canvas.style.cursor = 'grabbing';
     previousMousePosition.x = e.clientX;
@@ -508,80 +1634,54 @@ function addMouseControls(canvas) {
 // =============================================
 
 function createStarfield() {
-  const loader = new THREE.FileLoader();
-  
-  loader.load(
-    'stars.json',
-    (data) => {
-      const starData = JSON.parse(data);
-      console.log(`Loaded ${starData.length} stars.`);
-      const positions = new Float32Array(starData.length * 3);
-      const starGeometry = new THREE.BufferGeometry();
-
-      for (let i = 0; i < starData.length; i++) {
-        const star = starData[i];
-        const distance = 500;
-        const ra = star.ra * Math.PI / 180;
-        const dec = star.dec * Math.PI / 180;
-        const x = distance * Math.cos(dec) * Math.cos(ra);
-        const y = distance * Math.sin(dec);
-        const z = distance * Math.cos(dec) * Math.sin(ra);
-        positions[i * 3] = x;
-        positions[i * 3 + 1] = y;
-        positions[i * 3 + 2] = z;
-      }
-
-      starGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-      const starMaterial = new THREE.PointsMaterial({
-        color: 0xffffff,
-        size: 0.5,
-        sizeAttenuation: false,
-      });
-      const starfield = new THREE.Points(starGeometry, starMaterial);
+  openStarCatalog('stars.bin')
+    .then(catalog => {
+      // The moon's canvas is small, so the stars are drawn smaller than in the sky view
+      const starfield = createStarPoints(catalog, { limitingMagnitude: BACKDROP_LIMITING_MAGNITUDE, pointScale: 0.5 });
+      const positions = starfield.geometry.attributes.position;
+      const distance = 500;
+      const placeStars = () => {
+        for (let i = 0; i < catalog.loaded; i++) {
+          positions.setXYZ(i,
+            distance * Math.cos(catalog.dec[i]) * Math.cos(catalog.ra[i]),
+            distance * Math.sin(catalog.dec[i]),
+            distance * Math.cos(catalog.dec[i]) * Math.sin(catalog.ra[i]));
+        }
+        positions.needsUpdate = true;
+        console.log(`Showing ${catalog.loaded} of ${catalog.count} stars.`);
+      };
+      placeStars();
       starfield.renderOrder = -1;
       scene.add(starfield);
       console.log("Starfield added to scene.");
-    },
-    (xhr) => { console.log(`Loading stars: ${(xhr.loaded / xhr.total * 100)}%`); },
-    (err) => { console.error('An error happened while loading the star data:', err); }
-  );
-}
-
-// =============================================
-// PHASE 6 - CONSTELLATION LINES
-// =============================================
 
+      // The bright stars are in; the fainter tiers the backdrop shows follow
+      return catalog.load(BACKDROP_LIMITING_MAGNITUDE).then(() => {
+        if (refreshStarPoints(starfield, catalog)) placeStars();
+      });
+    })
+    .catch(err => { console.error('An error happened while loading the star data:', err); });
+}
 function createConstellations() {
-  const loader = new THREE.FileLoader();
-  
-  loader.load(
-    'constellations.lines.json',
-    (data) => {
-      const constellationData = JSON.parse(data);
-      console.log(`Loaded ${constellationData.features.length} constellations.`);
+  fetch('constellations.lines.json')
+    .then(response => {
+      if (!response.ok) throw new Error(`constellations.lines.json: ${response.status} ${response.statusText}`);
+      return response.json();
+    })
+    .then(data => {
+      const figures = parseConstellationLines(data);
+      console.log(`Loaded ${figures.length} constellations.`);
       const points = [];
       const distance = 500;
-
-      constellationData.features.forEach(constellation => {
-        const segments = constellation.geometry.coordinates;
-        segments.forEach(segment => {
-          for (let i = 0; i < segment.length - 1; i++) {
-            const startCoords = segment[i];
-            const endCoords = segment[i + 1];
-
-            const raStart = startCoords[0] * Math.PI / 180;
-            const decStart = startCoords[1] * Math.PI / 180;
-            const xStart = distance * Math.cos(decStart) * Math.cos(raStart);
-            const yStart = distance * Math.sin(decStart);
-            const zStart = distance * Math.cos(decStart) * Math.sin(raStart);
-            points.push(new THREE.Vector3(xStart, yStart, zStart));
-
-            const raEnd = endCoords[0] * Math.PI / 180;
-            const decEnd = endCoords[1] * Math.PI / 180;
-            const xEnd = distance * Math.cos(decEnd) * Math.cos(raEnd);
-            const yEnd = distance * Math.sin(decEnd);
-            const zEnd = distance * Math.cos(decEnd) * Math.sin(raEnd);
-            points.push(new THREE.Vector3(xEnd, yEnd, zEnd));
+      const toPoint = ([ra, dec]) => new THREE.Vector3(
+        distance * Math.cos(dec * Math.PI / 180) * Math.cos(ra * Math.PI / 180),
+        distance * Math.sin(dec * Math.PI / 180),
+        distance * Math.cos(dec * Math.PI / 180) * Math.sin(ra * Math.PI / 180));
+
+      figures.forEach(({ lines }) => {
+        lines.forEach(line => {
+          for (let i = 0; i < line.length - 1; i++) {
+            points.push(toPoint(line[i]), toPoint(line[i + 1]));
           }
         });
       });
@@ -596,53 +1696,177 @@ function createConstellations() {
       constellationLines.renderOrder = -1;
       scene.add(constellationLines);
       console.log("Constellation lines added to scene.");
-    },
-    (err) => { console.error('An error happened while loading the constellation data:', err); }
-  );
+    })
+    .catch(err => { console.error('An error happened while loading the constellation data:', err); });
 }
 
 // =============================================
 // PHASE 5 - LOCAL STORAGE
 // =============================================
 
-function loadSavedCalendar() {
-  const savedData = localStorage.getItem('karaiteCalendar');
-  if (savedData) {
-    savedCalendar = JSON.parse(savedData);
-    console.log("Loaded saved calendar:", savedCalendar);
-    
-    if (savedCalendar.waveSheafDate) {
-      waveSheafDateGlobal = new Date(savedCalendar.waveSheafDate);
-      console.log("Restored Wave Sheaf Date:", waveSheafDateGlobal);
-    }
-  } else {
-    savedCalendar = {};
+/**
+ * Loads the saved calendar from the chosen backend. If a storage server
+ * cannot be reached, or the setting cannot be read, falls back to this
+ * browser (without touching the server).
+ */
+async function loadSavedCalendar() {
+  let setting = { type: 'local' };
+  try {
+    setting = JSON.parse(localStorage.getItem(BACKEND_SETTING_KEY)) || setting;
+    document.getElementById('storage-server-url').value = setting.url || '';
+    document.getElementById('storage-server-token').value = setting.token || '';
+    storageBackend = createBackend(setting);
+    const { calendar, problems } = await loadCalendar(storageBackend);
+    savedCalendar = calendar;
+    showStorageProblems(problems);
+  } catch (error) {
+    console.error("Could not load from the storage server:", error);
+    storageBackend = createBackend();
+    const { calendar, problems } = await loadCalendar(storageBackend);
+    savedCalendar = calendar;
+    const failure = setting.url ? `Could not reach ${setting.url}` : 'Could not read the storage setting';
+    showStorageProblems([`${failure} (${error.message}); using this browser instead.`, ...problems]);
   }
+  syncedCalendar = structuredClone(savedCalendar);
+  console.log(`Loaded saved calendar from ${storageBackend.description}:`, savedCalendar);
 }
 
-function saveCalendarEntry(monthNumber, dateString) {
-  savedCalendar[monthNumber] = dateString;
-  
-  if (monthNumber === 1 && waveSheafDateGlobal) {
-    savedCalendar.waveSheafDate = waveSheafDateGlobal.toISOString();
-  }
+/**
+ * Saves the calendar in the background, merged with whatever was saved
+ * elsewhere since it was loaded (see syncCalendar), and shows the reports
+ * and dates others added. Failures (e.g. an unreachable storage server)
+ * are reported in the Saved Data section.
+ */
+function persistCalendar() {
+  const backend = storageBackend;
+  saving = saving.then(async () => {
+    const local = structuredClone(savedCalendar);
+    const synced = await syncCalendar(syncedCalendar, local, backend);
+    if (backend !== storageBackend) return; // Moved to another backend meanwhile
+    syncedCalendar = synced;
+    if (JSON.stringify(synced) !== JSON.stringify(local)) {
+      // Keep any changes made on this page while saving
+      savedCalendar = mergeCalendars(local, savedCalendar, synced);
+      showBiblicalYear(displayedYear);
+    }
+  }).catch(error => {
+    console.error("Could not save the calendar:", error);
+    document.getElementById('storage-status').textContent =
+      `Could not save to ${backend.description}: ${error.message}`;
+  });
+}
 
-  localStorage.setItem('karaiteCalendar', JSON.stringify(savedCalendar));
-  console.log("Saved calendar to localStorage:", savedCalendar);
+/**
+ * Lists anything that was dropped while loading or importing saved data.
+ */
+function showStorageProblems(problems) {
+  const status = document.getElementById('storage-status');
+  if (problems.length === 0) {
+    status.textContent = '';
+    return;
+  }
+  console.warn("Saved calendar problems:", problems);
+  status.textContent = `Some saved data was skipped: ${problems.join(' ')}`;
 }
 
-function redisplaySavedFeasts() {
+/**
+ * Shows the feasts of every confirmed month in the displayed year.
+ * They come from the whole year's computation, so a change to Month 1
+ * also moves Shavuot (counted from the Wave Sheaf).
+ */
+function redisplaySavedFeasts(result) {
   console.log("Redisplaying saved feasts...");
-  
-  const savedMonthNumbers = Object.keys(savedCalendar).filter(key => key !== 'waveSheafDate');
-  savedMonthNumbers.sort((a, b) => a - b);
-  
-  for (const monthNumStr of savedMonthNumbers) {
-    const monthNumber = parseInt(monthNumStr, 10);
-    const dayOne = new Date(savedCalendar[monthNumStr]);
-    
-    console.log(`Recalculating for saved Month ${monthNumber}`);
-    const feastDates = calculateFeasts(dayOne, monthNumber, waveSheafDateGlobal);
-    displayFeasts(feastDates, monthNumber);
+  const confirmedMonths = result.months.filter(month => month.confirmed);
+  waveSheafDateGlobal = result.months[0].confirmed ? findWaveSheafDate(result.feasts) : null;
+
+  confirmedMonths.forEach(({ number }) => {
+    displayFeasts(result.feasts.filter(feast => feast.month === number), number);
+  });
+
+  displayOmer();
+}
+
+/**
+ * Downloads all saved data as a JSON backup, and restores one.
+ */
+function addBackupListeners() {
+  document.getElementById('export-backup-btn').addEventListener('click', () => {
+    const blob = new Blob([exportCalendarBackup(savedCalendar)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `karaite-calendar-backup-${toDateInputValue(new Date())}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  const fileInput = document.getElementById('import-backup-file');
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    let result;
+    try {
+      result = importCalendarBackup(await file.text());
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+      return;
+    } finally {
+      fileInput.value = '';
+    }
+
+    if (!confirm(`Replace all saved months, barley reports, sightings and locations with ${file.name}?`)) {
+      return;
+    }
+    savedCalendar = result.calendar;
+    persistCalendar();
+    showStorageProblems(result.problems);
+
+    fillLocationSelect(document.getElementById('authority-select'), savedCalendar.settings.locations.authority);
+    fillLocationSelect(document.getElementById('observer-select'), savedCalendar.settings.locations.observer);
+    showBiblicalYear(displayedYear);
+    updateLocalInfo();
+  });
+
+  document.getElementById('use-server-btn').addEventListener('click', () => {
+    switchBackend({
+      type: 'http',
+      url: document.getElementById('storage-server-url').value.trim(),
+      token: document.getElementById('storage-server-token').value.trim()
+    });
+  });
+  document.getElementById('use-browser-btn').addEventListener('click', () => {
+    switchBackend({ type: 'local' });
+  });
+}
+
+/**
+ * Moves to another backend and shows what is saved there. If the new backend
+ * has nothing saved yet, it starts with a copy of the current calendar.
+ */
+async function switchBackend(setting) {
+  let backend;
+  let result;
+  try {
+    backend = createBackend(setting);
+    result = await loadCalendar(backend);
+    if (!Object.keys(result.calendar.years).length && Object.keys(savedCalendar.years).length) {
+      result = { calendar: savedCalendar, problems: result.problems };
+      await saveCalendar(savedCalendar, backend);
+    }
+  } catch (error) {
+    alert(`Could not use ${setting.url || 'this browser'}: ${error.message}`);
+    return;
   }
-}
\ No newline at end of file
+
+  localStorage.setItem(BACKEND_SETTING_KEY, JSON.stringify(setting));
+  storageBackend = backend;
+  savedCalendar = result.calendar;
+  syncedCalendar = structuredClone(savedCalendar);
+  showStorageProblems(result.problems);
+  document.getElementById('storage-status').textContent ||= `Saving to ${backend.description}.`;
+
+  fillLocationSelect(document.getElementById('authority-select'), savedCalendar.settings.locations.authority);
+  fillLocationSelect(document.getElementById('observer-select'), savedCalendar.settings.locations.observer);
+  showBiblicalYear(displayedYear);
+  updateLocalInfo();
+}
@@ -0,0 +1,85 @@
+/*
+ * ===================================
+ * moonOrientation.js
+ * * How the moon looks from a place at a moment: which
+ * * way its bright limb and its north pole point in the
+ * * observer's sky, which face is turned towards us
+ * * (optical libration, Meeus chapter 53) and how much
+ * * earthshine lights its dark side.
+ * * Angles are in radians.
+ * ===================================
+ */
+
+import * as SunCalc from './suncalc.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JD_UNIX_EPOCH = 2440587.5;
+const RAD = Math.PI / 180;
+
+// Inclination of the moon's equator to the ecliptic
+const LUNAR_EQUATOR_INCLINATION = 1.54242 * RAD;
+
+/**
+ * Optical libration and the position angle of the moon's axis
+ * (Meeus 53.1 and 53.2, without the small physical libration).
+ * `longitude` > 0 turns more of the eastern limb (Mare Crisium) towards us,
+ * `latitude` > 0 more of the north; `axisAngle` is the direction of the
+ * moon's north pole, from celestial north towards east.
+ */
+export function getLibration(date) {
+  const moon = SunCalc.getMoonInfo(date);
+  const longitude = moon.eclipticLongitude;
+  const latitude = moon.eclipticLatitude;
+  const T = (date.valueOf() / DAY_MS + JD_UNIX_EPOCH - 2451545) / 36525;
+  const F = (93.2720950 + 483202.0175233 * T) * RAD;    // moon's argument of latitude
+  const node = (125.0445479 - 1934.1362891 * T) * RAD;  // longitude of its ascending node
+  const I = LUNAR_EQUATOR_INCLINATION;
+
+  const W = longitude - node;
+  const A = Math.atan2(
+    Math.sin(W) * Math.cos(latitude) * Math.cos(I) - Math.sin(latitude) * Math.sin(I),
+    Math.cos(W) * Math.cos(latitude)
+  );
+  let librationLongitude = (A - F) % (2 * Math.PI);
+  if (librationLongitude > Math.PI) librationLongitude -= 2 * Math.PI;
+  if (librationLongitude < -Math.PI) librationLongitude += 2 * Math.PI;
+  const librationLatitude = Math.asin(
+    -Math.sin(W) * Math.cos(latitude) * Math.sin(I) - Math.sin(latitude) * Math.cos(I));
+
+  // Position angle of the axis
+  const obliquity = (23.4392911 - 0.0130042 * T) * RAD;
+  const X = Math.sin(I) * Math.sin(node);
+  const Y = Math.sin(I) * Math.cos(node) * Math.cos(obliquity) - Math.cos(I) * Math.sin(obliquity);
+  const omega = Math.atan2(X, Y);
+  const axisAngle = Math.asin(Math.hypot(X, Y) * Math.cos(moon.rightAscension - omega) / Math.cos(librationLatitude));
+
+  return { longitude: librationLongitude, latitude: librationLatitude, axisAngle };
+}
+
+/**
+ * Everything needed to draw the moon as the observer sees it:
+ *  - brightLimbAngle / axisAngle: from celestial north towards east
+ *  - parallacticAngle: how far celestial north is turned from the zenith;
+ *    subtract it to get angles from "up" in the observer's sky
+ *  - phaseAngle: sun-moon-earth angle (0 = full, π = new)
+ *  - libration: { longitude, latitude }
+ *  - earthshine: 0-1, how brightly the earth (nearly "full" seen from a
+ *    thin crescent) lights the moon's dark side
+ */
+export function getMoonOrientation(date, lat, lon) {
+  const illumination = SunCalc.getMoonIllumination(date);
+  const position = SunCalc.getMoonPosition(date, lat, lon);
+  const { longitude, latitude, axisAngle } = getLibration(date);
+  const phaseAngle = Math.acos(Math.min(1, Math.max(-1, 2 * illumination.fraction - 1)));
+
+  return {
+    fraction: illumination.fraction,
+    phaseAngle,
+    brightLimbAngle: illumination.angle,
+    parallacticAngle: position.parallacticAngle,
+    axisAngle,
+    libration: { longitude, latitude },
+    // The earth's phase seen from the moon is the opposite of the moon's
+    earthshine: 1 - illumination.fraction
+  };
+}
@@ -0,0 +1,59 @@
+/*
+ * ===================================
+ * omer.js
+ * * Counting the omer: 50 days from the Wave Sheaf
+ * * (day 1) to Shavuot (day 50). (Leviticus 23:15-16)
+ * ===================================
+ */
+
+import { getBiblicalDayBounds } from './biblicalDay.js';
+
+export const OMER_DAYS = 50;
+
+/**
+ * Says a count the way it is spoken, e.g.
+ * "day 23, which is 3 weeks and 2 days".
+ */
+export function describeOmerDay(day) {
+  const weeks = Math.floor(day / 7);
+  const days = day % 7;
+  if (weeks === 0) {
+    return `day ${day}`;
+  }
+
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const breakdown = days === 0
+    ? plural(weeks, 'week')
+    : `${plural(weeks, 'week')} and ${plural(days, 'day')}`;
+  return `day ${day}, which is ${breakdown}`;
+}
+
+/**
+ * Lists all 50 days of the count, each with its date and
+ * the sundown it begins at for the given location.
+ */
+export function countOmer(waveSheafDate, lat, lon) {
+  const count = [];
+  for (let day = 1; day <= OMER_DAYS; day++) {
+    const date = new Date(waveSheafDate);
+    date.setDate(date.getDate() + day - 1);
+
+    count.push({
+      day,
+      weeks: Math.floor(day / 7),
+      days: day % 7,
+      label: describeOmerDay(day),
+      date,
+      ...getBiblicalDayBounds(date, lat, lon)
+    });
+  }
+  return count;
+}
+
+/**
+ * Finds the day of the count that an instant falls in
+ * (days change at sundown), or null outside the count.
+ */
+export function getOmerDayFor(instant, count) {
+  return count.find(entry => entry.start <= instant && instant < entry.end) || null;
+}
@@ -0,0 +1,168 @@
+/*
+ * ===================================
+ * sightings.js
+ * * Community new-moon sighting reports. Reports are
+ * * logged per evening, weighed against each other and
+ * * against the predicted visibility, and the first
+ * * evening the crescent was seen with the naked eye
+ * * confirms the month: Day 1 is the day after it.
+ * ===================================
+ */
+
+import { assessEvening } from './visibility.js';
+import { findCity } from './locations.js';
+
+export const SIGHTING_AIDS = ['naked-eye', 'binoculars', 'telescope'];
+export const SKY_CONDITIONS = ['clear', 'hazy', 'partly-cloudy', 'overcast'];
+
+// A "not seen" only counts against the crescent if the sky allowed seeing it
+const OPEN_SKIES = ['clear', 'hazy'];
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+/**
+ * Checks a report from the form and returns a clean copy with an id.
+ * Throws an Error with a readable message if something is missing.
+ */
+export function createSightingReport({
+  id, month, evening, time = '', observer, location, aid, sky, seen, notes = ''
+}) {
+  if (!Number.isInteger(month) || month < 1 || month > 13) {
+    throw new Error('Please choose the month the sighting is for (1-13).');
+  }
+  if (!evening || isNaN(new Date(evening + 'T00:00:00'))) {
+    throw new Error('Please enter the evening of the sighting.');
+  }
+  if (time && !TIME_PATTERN.test(time)) {
+    throw new Error('Please enter the time as HH:MM.');
+  }
+  if (!observer || !observer.trim()) {
+    throw new Error('Please enter who made the observation.');
+  }
+  if (!location || !location.trim()) {
+    throw new Error('Please enter where the observation was made.');
+  }
+  if (!SIGHTING_AIDS.includes(aid)) {
+    throw new Error(`Optical aid must be one of: ${SIGHTING_AIDS.join(', ')}.`);
+  }
+  if (!SKY_CONDITIONS.includes(sky)) {
+    throw new Error(`Sky conditions must be one of: ${SKY_CONDITIONS.join(', ')}.`);
+  }
+  if (typeof seen !== 'boolean') {
+    throw new Error('Please say whether the crescent was seen.');
+  }
+
+  return {
+    id: id || `sighting-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    month,
+    evening,
+    time,
+    observer: observer.trim(),
+    location: location.trim(),
+    aid,
+    sky,
+    seen,
+    notes: notes.trim()
+  };
+}
+
+/**
+ * Weighs the reports for one evening.
+ *
+ * Returns { seen, seenWithAid, notSeen, clouded, verdict }, where verdict is:
+ *  - 'seen': at least one naked-eye sighting (enough to confirm the month)
+ *  - 'aided': seen only with binoculars or a telescope
+ *  - 'not-seen': looked for under open skies and not seen
+ *  - 'clouded-out': not seen, but every report had cloud cover
+ *  - 'none': no reports
+ */
+export function weighEvening(reports) {
+  const seen = reports.filter(report => report.seen && report.aid === 'naked-eye');
+  const seenWithAid = reports.filter(report => report.seen && report.aid !== 'naked-eye');
+  const notSeen = reports.filter(report => !report.seen && OPEN_SKIES.includes(report.sky));
+  const clouded = reports.filter(report => !report.seen && !OPEN_SKIES.includes(report.sky));
+
+  let verdict = 'none';
+  if (seen.length) verdict = 'seen';
+  else if (seenWithAid.length) verdict = 'aided';
+  else if (notSeen.length) verdict = 'not-seen';
+  else if (clouded.length) verdict = 'clouded-out';
+
+  return { seen, seenWithAid, notSeen, clouded, verdict };
+}
+
+/**
+ * Predicts the crescent's visibility on an evening (YYYY-MM-DD)
+ * at a location, with Yallop's q-test.
+ */
+export function predictEvening(evening, conjunction, lat, lon) {
+  return assessEvening(new Date(evening + 'T12:00:00Z'), conjunction, lat, lon);
+}
+
+/**
+ * Groups a month's reports by evening, in date order, each with its
+ * weighing and the prediction at the authority. Each report also gets the
+ * prediction for its own place when that is a gazetteer city.
+ * `predictedEvenings` (from predictFirstVisibility) are always listed,
+ * so evenings nobody reported on still show their prediction.
+ */
+export function summarizeSightings(reports, { conjunction, predictedEvenings = [], authority }) {
+  const toKey = date => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  };
+
+  const evenings = new Map();
+  predictedEvenings.forEach(prediction => {
+    evenings.set(toKey(prediction.date), { evening: toKey(prediction.date), prediction, reports: [] });
+  });
+  reports.forEach(report => {
+    if (!evenings.has(report.evening)) {
+      evenings.set(report.evening, {
+        evening: report.evening,
+        prediction: predictEvening(report.evening, conjunction, authority.lat, authority.lon),
+        reports: []
+      });
+    }
+    const place = findCity(report.location) || authority;
+    evenings.get(report.evening).reports.push({
+      ...report,
+      place,
+      prediction: predictEvening(report.evening, conjunction, place.lat, place.lon)
+    });
+  });
+
+  return [...evenings.values()]
+    .sort((a, b) => a.evening.localeCompare(b.evening))
+    .map(entry => ({ ...entry, weight: weighEvening(entry.reports) }));
+}
+
+/**
+ * The first evening the crescent was seen with the naked eye,
+ * and the Day 1 it gives (the next day), or null.
+ */
+export function findConfirmingEvening(summary) {
+  const entry = summary.find(evening => evening.weight.verdict === 'seen');
+  if (!entry) return null;
+
+  const dayOne = new Date(entry.evening + 'T00:00:00');
+  dayOne.setDate(dayOne.getDate() + 1);
+  return { evening: entry.evening, dayOne, reports: entry.weight.seen };
+}
+
+/**
+ * The record kept with a confirmed Day 1: how it was decided and,
+ * for sightings, which reports it rests on.
+ */
+export function createConfirmationEvidence(confirming = null, now = new Date()) {
+  if (!confirming) {
+    return { basis: 'manual', evening: null, reportIds: [], confirmedAt: now.toISOString() };
+  }
+  return {
+    basis: 'sighting',
+    evening: confirming.evening,
+    reportIds: confirming.reports.map(report => report.id),
+    confirmedAt: now.toISOString()
+  };
+}
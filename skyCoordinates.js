@@ -0,0 +1,155 @@
+/*
+ * ===================================
+ * skyCoordinates.js
+ * * Turns catalog positions (right ascension and
+ * * declination) into where they stand in the local
+ * * sky (altitude and azimuth) at a given moment,
+ * * and how bright the sky is during twilight.
+ * * Angles are in radians; azimuth is measured from
+ * * north towards east (SunCalc measures it from south
+ * * towards west, see fromSunCalcAzimuth).
+ * ===================================
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J2000 = 2451545;
+const RAD = Math.PI / 180;
+
+/**
+ * The Julian Date of a moment.
+ */
+export function julianDate(date) {
+  return date.valueOf() / DAY_MS + 2440587.5;
+}
+
+/**
+ * Local mean sidereal time at longitude `lon` (degrees east), in radians.
+ */
+export function localSiderealTime(date, lon) {
+  const d = julianDate(date) - J2000;
+  const degrees = 280.46061837 + 360.98564736629 * d + lon;
+  return (((degrees % 360) + 360) % 360) * RAD;
+}
+
+/**
+ * The angles ζ, z and θ of precession from J2000 to a date (Meeus 21.3), in radians.
+ */
+function precessionAngles(date) {
+  const T = (julianDate(date) - J2000) / 36525;
+  const arcseconds = RAD / 3600;
+  return {
+    zeta: arcseconds * (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T),
+    z: arcseconds * (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T),
+    theta: arcseconds * (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T)
+  };
+}
+
+/**
+ * Precesses a right ascension and declination (radians) from J2000 to the
+ * mean equinox of a date (Meeus 21.4).
+ */
+export function precessFromJ2000(ra, dec, date) {
+  const { zeta, z, theta } = precessionAngles(date);
+  const A = Math.cos(dec) * Math.sin(ra + zeta);
+  const B = Math.cos(theta) * Math.cos(dec) * Math.cos(ra + zeta) - Math.sin(theta) * Math.sin(dec);
+  const C = Math.sin(theta) * Math.cos(dec) * Math.cos(ra + zeta) + Math.cos(theta) * Math.sin(dec);
+  return {
+    ra: (Math.atan2(A, B) + z + 2 * Math.PI) % (2 * Math.PI),
+    dec: Math.asin(C)
+  };
+}
+
+/**
+ * The reverse of precessFromJ2000: from the equinox of a date back to J2000,
+ * the epoch catalogs and constellation boundaries are given in.
+ */
+export function precessToJ2000(ra, dec, date) {
+  const { zeta, z, theta } = precessionAngles(date);
+  const x = Math.cos(dec) * Math.cos(ra - z);
+  const y = Math.cos(dec) * Math.sin(ra - z);
+  const zz = Math.sin(dec);
+  const x0 = Math.cos(theta) * x + Math.sin(theta) * zz;
+  const z0 = -Math.sin(theta) * x + Math.cos(theta) * zz;
+  return {
+    ra: (Math.atan2(y, x0) - zeta + 4 * Math.PI) % (2 * Math.PI),
+    dec: Math.asin(z0)
+  };
+}
+
+/**
+ * Altitude and azimuth of a right ascension and declination, seen from
+ * latitude `lat` at local sidereal time `lst` (all in radians).
+ */
+export function toHorizontal(ra, dec, lat, lst) {
+  const hourAngle = lst - ra;
+  const altitude = Math.asin(Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(hourAngle));
+  const azimuth = Math.atan2(
+    -Math.cos(dec) * Math.sin(hourAngle),
+    Math.sin(dec) * Math.cos(lat) - Math.cos(dec) * Math.sin(lat) * Math.cos(hourAngle)
+  );
+  return { altitude, azimuth: (azimuth + 2 * Math.PI) % (2 * Math.PI) };
+}
+
+/**
+ * Converts a SunCalc azimuth (from south, towards west) to one from north, towards east.
+ */
+export function fromSunCalcAzimuth(azimuth) {
+  return (azimuth + 3 * Math.PI) % (2 * Math.PI);
+}
+
+/**
+ * A point on the sky at `distance` from the observer, for the 3D scene:
+ * y is up, -z is north and +x is east.
+ */
+export function horizontalToVector(altitude, azimuth, distance = 1) {
+  return {
+    x: distance * Math.cos(altitude) * Math.sin(azimuth),
+    y: distance * Math.sin(altitude),
+    z: -distance * Math.cos(altitude) * Math.cos(azimuth)
+  };
+}
+
+/**
+ * The compass point of an azimuth, e.g. "WSW".
+ */
+export function compassPoint(azimuth) {
+  const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+  return points[Math.round(azimuth / (2 * Math.PI) * 16) % 16];
+}
+
+// Twilight stages by the sun's altitude in degrees
+export const TWILIGHT_STAGES = [
+  { id: 'day', name: 'Daylight', below: Infinity },
+  { id: 'civil', name: 'Civil twilight', below: 0 },
+  { id: 'nautical', name: 'Nautical twilight', below: -6 },
+  { id: 'astronomical', name: 'Astronomical twilight', below: -12 },
+  { id: 'night', name: 'Night', below: -18 }
+];
+
+/**
+ * The twilight stage for a sun altitude in degrees.
+ */
+export function getTwilightStage(sunAltitude) {
+  return TWILIGHT_STAGES.filter(stage => sunAltitude < stage.below).pop();
+}
+
+// Faintest star seen with the naked eye at each sun altitude (degrees)
+const LIMITING_MAGNITUDES = [[0, -1], [-6, 2], [-12, 4.5], [-18, 6.5]];
+
+/**
+ * The faintest magnitude visible to the naked eye for a sun altitude
+ * in degrees, from about -1 (only the brightest objects) at sunset
+ * to 6.5 at the end of astronomical twilight.
+ */
+export function getLimitingMagnitude(sunAltitude) {
+  if (sunAltitude >= LIMITING_MAGNITUDES[0][0]) return LIMITING_MAGNITUDES[0][1];
+  for (let i = 1; i < LIMITING_MAGNITUDES.length; i++) {
+    const [altitude, magnitude] = LIMITING_MAGNITUDES[i];
+    if (sunAltitude >= altitude) {
+      const [previousAltitude, previousMagnitude] = LIMITING_MAGNITUDES[i - 1];
+      const t = (sunAltitude - previousAltitude) / (altitude - previousAltitude);
+      return previousMagnitude + t * (magnitude - previousMagnitude);
+    }
+  }
+  return LIMITING_MAGNITUDES[LIMITING_MAGNITUDES.length - 1][1];
+}
@@ -0,0 +1,553 @@
+/*
+ * ===================================
+ * skyView.js
+ * * A full-screen planetarium of the evening sky for
+ * * sighting nights: the horizon at sunset, the crescent
+ * * at its true altitude and azimuth, the sun below the
+ * * horizon, and the stars and constellations turned
+ * * by local sidereal time, with the constellations of
+ * * the sun and moon picked out. A slider steps through
+ * * twilight minute by minute; the brighter stars are
+ * * labelled, and pointing at a star shows its details.
+ * ===================================
+ */
+
+import * as THREE from 'three';
+import * as SunCalc from './suncalc.js';
+import { formatInTimeZone } from './locations.js';
+import {
+  localSiderealTime, toHorizontal, fromSunCalcAzimuth, horizontalToVector, compassPoint,
+  getTwilightStage, getLimitingMagnitude
+} from './skyCoordinates.js';
+import {
+  createStarPoints, refreshStarPoints, setLimitingMagnitude, getStarLabel, describeStar,
+  findStarAt, getStarScreenPosition
+} from './starField.js';
+import { openStarCatalog } from './starCatalog.js';
+import {
+  parseConstellationLines, parseConstellationBoundaries, parseConstellationNames, createConstellationLocator
+} from './constellations.js';
+import { createConstellationLayer } from './constellationLayer.js';
+import { getZodiacPosition } from './zodiac.js';
+
+const RAD = Math.PI / 180;
+const MINUTE_MS = 60 * 1000;
+
+// Distances in the scene: stars and lines on a sphere, with the ground just inside it
+const SKY_RADIUS = 500;
+const GROUND_RADIUS = 450;
+const MOON_DISTANCE = 400;
+const MOON_RADIUS_KM = 1737.4;
+
+// The crescent is drawn larger than life so its shape can be seen
+const MOON_SCALE = 4;
+
+// Stars are labelled down to this magnitude at a 60° field of view, and
+// about a magnitude fainter each time the view is zoomed in twice as far
+const LABEL_MAGNITUDE = 2.5;
+const LABEL_FOV = 60;
+
+// Sky colours by the sun's altitude (degrees), blended in between
+const SKY_COLORS = [[6, 0x4a7fb5], [0, 0x3b5f8f], [-6, 0x1f3356], [-12, 0x0e1830], [-18, 0x05070d]];
+
+/**
+ * A point on the sky as a THREE.Vector3.
+ */
+function toVector(altitude, azimuth, distance) {
+  const { x, y, z } = horizontalToVector(altitude, azimuth, distance);
+  return new THREE.Vector3(x, y, z);
+}
+
+/**
+ * The sky colour for a sun altitude in degrees.
+ */
+function getSkyColor(sunAltitude) {
+  const color = new THREE.Color(SKY_COLORS[SKY_COLORS.length - 1][1]);
+  for (let i = 1; i < SKY_COLORS.length; i++) {
+    const [upper, upperColor] = SKY_COLORS[i - 1];
+    const [lower, lowerColor] = SKY_COLORS[i];
+    if (sunAltitude >= upper) return new THREE.Color(upperColor);
+    if (sunAltitude >= lower) {
+      return color.lerpColors(new THREE.Color(lowerColor), new THREE.Color(upperColor),
+        (sunAltitude - lower) / (upper - lower));
+    }
+  }
+  return color;
+}
+
+/**
+ * A sprite showing a line of text, e.g. a compass point.
+ */
+function createTextSprite(text, color = '#c9d1d9') {
+  const canvas = document.createElement('canvas');
+  canvas.width = 128;
+  canvas.height = 64;
+  const context = canvas.getContext('2d');
+  context.font = 'bold 36px sans-serif';
+  context.fillStyle = color;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, 64, 32);
+
+  const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false, transparent: true });
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set(24, 12, 1);
+  return sprite;
+}
+
+/**
+ * A soft glowing disc for the sun.
+ */
+function createSunSprite() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = 64;
+  const context = canvas.getContext('2d');
+  const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+  gradient.addColorStop(0, 'rgba(255, 244, 214, 1)');
+  gradient.addColorStop(0.3, 'rgba(255, 200, 120, 0.8)');
+  gradient.addColorStop(1, 'rgba(255, 160, 60, 0)');
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 64, 64);
+
+  const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false, transparent: true });
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set(30, 30, 1);
+  return sprite;
+}
+
+/**
+ * Local solar noon on a YYYY-MM-DD date at a longitude, so SunCalc
+ * finds that evening's sunset wherever the observer is.
+ */
+function getLocalNoon(evening, lon) {
+  const [year, month, day] = evening.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, 12) - lon / 15 * 60 * MINUTE_MS);
+}
+
+// =============================================
+// CATALOG DATA
+// =============================================
+
+/**
+ * Loads a constellation data file and reads it with `parse` (one of the
+ * parsers in constellations.js). Errors name the file.
+ */
+async function loadConstellationData(url, parse) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+  let data;
+  try {
+    data = JSON.parse(await response.text());
+  } catch (error) {
+    throw new Error(`${url} is not valid JSON (${error.message}).`);
+  }
+  try {
+    return parse(data);
+  } catch (error) {
+    throw new Error(`${url}: ${error.message}`);
+  }
+}
+
+// =============================================
+// THE VIEW
+// =============================================
+
+/**
+ * Builds the sky view inside `overlay` (see #sky-view in index.html).
+ * Returns { open({ location, evening }), close() }; `evening` is YYYY-MM-DD.
+ */
+export function createSkyView(overlay, {
+  starsUrl = 'stars.bin',
+  linesUrl = 'constellations.lines.json',
+  boundsUrl = 'constellations.bounds.json',
+  namesUrl = 'constellations.json'
+} = {}) {
+  const canvas = overlay.querySelector('#sky-canvas');
+  const dateInput = overlay.querySelector('#sky-date');
+  const slider = overlay.querySelector('#sky-time');
+  const timeLabel = overlay.querySelector('#sky-time-label');
+  const info = overlay.querySelector('#sky-info');
+  const labelCanvas = overlay.querySelector('#sky-labels');
+  const magnitudeSlider = overlay.querySelector('#sky-magnitude');
+  const magnitudeLabel = overlay.querySelector('#sky-magnitude-label');
+  const starInfo = overlay.querySelector('#sky-star-info');
+  const layerToggles = {
+    lines: overlay.querySelector('#sky-show-lines'),
+    boundaries: overlay.querySelector('#sky-show-boundaries'),
+    names: overlay.querySelector('#sky-show-names')
+  };
+
+  let location = null;
+  let sunset = null;
+  let frame = null;
+  let catalog = null;
+  let starPoints = null;
+  let starAltitudes = new Float32Array(0);
+  let labelledStars = []; // { index, label } of stars with a name or designation, brightest first
+  let hoveredStar = -1;
+  let selectedStar = -1;
+  const constellationData = {};
+  let constellationLocator = null;
+  const constellationNotes = [];
+  const view = { azimuth: 270 * RAD, altitude: 10 * RAD, fov: 60 };
+
+  // 1. Scene, camera and renderer
+  const scene = new THREE.Scene();
+  const camera = new THREE.PerspectiveCamera(view.fov, 1, 0.1, 2000);
+  const renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+  renderer.setPixelRatio(window.devicePixelRatio);
+
+  // 2. The ground hides everything below the horizon
+  const ground = new THREE.Mesh(
+    new THREE.SphereGeometry(GROUND_RADIUS, 64, 16, 0, 2 * Math.PI, Math.PI / 2, Math.PI / 2),
+    new THREE.MeshBasicMaterial({ color: 0x0b0f0a, side: THREE.BackSide })
+  );
+  scene.add(ground);
+
+  const horizonLine = new THREE.LineLoop(
+    new THREE.BufferGeometry().setFromPoints(
+      Array.from({ length: 128 }, (_, i) => toVector(0, i / 128 * 2 * Math.PI, GROUND_RADIUS - 1))),
+    new THREE.LineBasicMaterial({ color: 0x30363d })
+  );
+  scene.add(horizonLine);
+
+  ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'].forEach((name, i) => {
+    const label = createTextSprite(name);
+    label.position.copy(toVector(2 * RAD, i * 45 * RAD, GROUND_RADIUS - 10));
+    scene.add(label);
+  });
+
+  // 3. Constellations, and the stars once loaded (positions are set in update)
+  const constellations = createConstellationLayer({ radius: SKY_RADIUS - 1 });
+  scene.add(constellations.group);
+
+  // 4. The moon, lit by the sun so its crescent faces the right way
+  const moonMesh = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 48, 48),
+    new THREE.MeshStandardMaterial({ color: 0xdedede, roughness: 1, metalness: 0 })
+  );
+  scene.add(moonMesh);
+  scene.add(new THREE.AmbientLight(0xffffff, 0.03));
+  const sunLight = new THREE.DirectionalLight(0xffffff, 3);
+  sunLight.target = moonMesh;
+  scene.add(sunLight);
+
+  const sunSprite = createSunSprite();
+  scene.add(sunSprite);
+
+  const catalogLoaded = Promise.all([
+    openStarCatalog(starsUrl).then(data => {
+      catalog = data;
+      starAltitudes = new Float32Array(catalog.count);
+      starPoints = createStarPoints(catalog);
+      addLabelledStars(0);
+      scene.add(starPoints);
+    }).catch(error => {
+      console.error('Could not load the stars for the sky view:', error);
+    }),
+    ...[
+      ['figures', linesUrl, parseConstellationLines],
+      ['boundaries', boundsUrl, parseConstellationBoundaries],
+      ['names', namesUrl, parseConstellationNames]
+    ].map(([part, url, parse]) => loadConstellationData(url, parse).then(data => {
+      constellationData[part] = data;
+      if (part === 'boundaries') constellationLocator = createConstellationLocator(data);
+      constellations.setData(constellationData);
+    }).catch(error => {
+      console.error(`Could not load the constellation ${part} for the sky view:`, error);
+      constellationNotes.push(`Constellation ${part} are not available: ${error.message}`);
+    }))
+  ]);
+
+  /**
+   * Notes the names of the stars from `first` to the last one loaded.
+   */
+  function addLabelledStars(first) {
+    for (let index = first; index < catalog.loaded; index++) {
+      const label = getStarLabel(catalog.getStar(index));
+      if (label) labelledStars.push({ index, label });
+    }
+  }
+
+  /**
+   * Fetches the fainter tiers of the catalog once they could be seen.
+   */
+  function loadFainterStars(magnitude) {
+    if (!catalog || magnitude <= catalog.faintestLoaded) return;
+    catalog.load(magnitude).then(() => {
+      const first = starPoints.geometry.drawRange.count;
+      if (!refreshStarPoints(starPoints, catalog)) return;
+      addLabelledStars(first);
+      update();
+    }).catch(error => {
+      console.error('Could not load the fainter stars for the sky view:', error);
+    });
+  }
+
+  /**
+   * The moment shown: the slider's minutes from sunset.
+   */
+  function getTime() {
+    return new Date(sunset.getTime() + Number(slider.value) * MINUTE_MS);
+  }
+
+  /**
+   * Places everything for the time on the slider.
+   */
+  function update() {
+    if (!location || !sunset) return;
+    const time = getTime();
+    const lat = location.lat * RAD;
+    const lst = localSiderealTime(time, location.lon);
+
+    // Sun
+    const sun = SunCalc.getPosition(time, location.lat, location.lon);
+    const sunAzimuth = fromSunCalcAzimuth(sun.azimuth);
+    const sunAltitude = sun.altitude / RAD;
+    sunSprite.position.copy(toVector(sun.altitude, sunAzimuth, GROUND_RADIUS - 20));
+    sunSprite.material.opacity = sunAltitude >= 0 ? 1 : 0.45;
+    scene.background = getSkyColor(sunAltitude);
+
+    // Moon
+    const moon = SunCalc.getMoonPosition(time, location.lat, location.lon);
+    const moonAzimuth = fromSunCalcAzimuth(moon.azimuth);
+    const illumination = SunCalc.getMoonIllumination(time);
+    moonMesh.visible = moon.altitude > 0; // The ground is further away than the moon
+    moonMesh.position.copy(toVector(moon.altitude, moonAzimuth, MOON_DISTANCE));
+    moonMesh.scale.setScalar(MOON_DISTANCE * MOON_RADIUS_KM / moon.distance * MOON_SCALE);
+    sunLight.position.copy(moonMesh.position).add(toVector(sun.altitude, sunAzimuth, 100));
+
+    // Stars, down to what the twilight (or the magnitude slider) lets through
+    const twilightLimit = getLimitingMagnitude(sunAltitude);
+    const magnitudeLimit = Math.min(twilightLimit, Number(magnitudeSlider.value));
+    if (starPoints) {
+      const starPositions = starPoints.geometry.attributes.position;
+      for (let i = 0; i < catalog.loaded; i++) {
+        const { altitude, azimuth } = toHorizontal(catalog.ra[i], catalog.dec[i], lat, lst);
+        const { x, y, z } = horizontalToVector(altitude, azimuth, SKY_RADIUS);
+        starPositions.setXYZ(i, x, y, z);
+        starAltitudes[i] = altitude;
+      }
+      starPositions.needsUpdate = true;
+      setLimitingMagnitude(starPoints, magnitudeLimit);
+      loadFainterStars(magnitudeLimit);
+    }
+
+    // Constellations, with those holding the sun and moon picked out
+    const sunConstellation = findConstellation('sun', time);
+    const moonConstellation = findConstellation('moon', time);
+    constellations.setHighlights({ sun: sunConstellation?.id, moon: moonConstellation?.id });
+    constellations.update(lat, lst, { brightness: sunAltitude < -6 ? 1 : 0.45 });
+    const constellationText = sunConstellation && moonConstellation
+      ? ` Sun in ${sunConstellation.name}, moon in ${moonConstellation.name}.` : '';
+
+    // Labels
+    const minutes = Number(slider.value);
+    timeLabel.textContent = `${formatInTimeZone(time, location.timeZone, { hour: '2-digit', minute: '2-digit' })} ` +
+      `(sunset ${minutes < 0 ? '−' : '+'}${Math.abs(minutes)} min)`;
+    info.textContent = `${location.name}: ${getTwilightStage(sunAltitude).name}. ` +
+      `Sun ${sunAltitude.toFixed(1)}°. ` +
+      `Moon ${(moon.altitude / RAD).toFixed(1)}° high, ${(moonAzimuth / RAD).toFixed(0)}° (${compassPoint(moonAzimuth)}), ` +
+      `${(illumination.fraction * 100).toFixed(1)}% lit (drawn ×${MOON_SCALE}). ` +
+      `Stars to magnitude ${magnitudeLimit.toFixed(1)}` +
+      `${magnitudeLimit < twilightLimit ? ` (the sky shows ${twilightLimit.toFixed(1)})` : ''}.` +
+      `${constellationText}${constellationNotes.map(note => ` ${note}`).join('')}`;
+    magnitudeLabel.textContent = Number(magnitudeSlider.value).toFixed(1);
+    showStarInfo();
+  }
+
+  /**
+   * The constellation holding the sun or moon at `time` ({ id, name }), or
+   * null while the boundaries are not loaded.
+   */
+  function findConstellation(body, time) {
+    if (!constellationLocator) return null;
+    return getZodiacPosition(body, time, { system: 'constellations', locator: constellationLocator });
+  }
+
+  /**
+   * Whether a star is drawn: above the horizon and brighter than the limit.
+   */
+  function isStarVisible(index) {
+    return starAltitudes[index] > 0 &&
+      catalog.mag[index] < starPoints.material.uniforms.limitingMagnitude.value;
+  }
+
+  /**
+   * Shows the details of the star under the pointer, else of the one
+   * last clicked.
+   */
+  function showStarInfo() {
+    const index = hoveredStar !== -1 ? hoveredStar : selectedStar;
+    starInfo.textContent = index !== -1 && starPoints && isStarVisible(index)
+      ? describeStar(catalog.getStar(index))
+      : 'Point at a star, or tap it, for its details.';
+  }
+
+  /**
+   * Writes the constellation names, and the names of the brighter stars in
+   * view next to them (more as the view is zoomed in), and rings the star
+   * under the pointer or clicked.
+   */
+  function drawLabels() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (labelCanvas.width !== Math.round(width * ratio) || labelCanvas.height !== Math.round(height * ratio)) {
+      labelCanvas.width = Math.round(width * ratio);
+      labelCanvas.height = Math.round(height * ratio);
+    }
+    const context = labelCanvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    constellations.drawNames(context, camera, canvas);
+    if (!starPoints) return;
+
+    const labelLimit = Math.min(starPoints.material.uniforms.limitingMagnitude.value,
+      LABEL_MAGNITUDE + Math.log2(LABEL_FOV / view.fov));
+    context.font = '12px sans-serif';
+    context.fillStyle = 'rgba(201, 209, 217, 0.8)';
+    context.textBaseline = 'middle';
+    for (const { index, label } of labelledStars) {
+      if (catalog.mag[index] > labelLimit) break;
+      if (starAltitudes[index] <= 0) continue;
+      const point = getStarScreenPosition(starPoints, index, camera, canvas);
+      if (!point || point.x < 0 || point.y < 0 || point.x > width || point.y > height) continue;
+      context.fillText(label, point.x + 6, point.y - 6);
+    }
+
+    [selectedStar, hoveredStar].forEach(index => {
+      if (index === -1 || !isStarVisible(index)) return;
+      const point = getStarScreenPosition(starPoints, index, camera, canvas);
+      if (!point) return;
+      context.strokeStyle = index === hoveredStar ? '#c9d1d9' : '#58a6ff';
+      context.beginPath();
+      context.arc(point.x, point.y, 8, 0, 2 * Math.PI);
+      context.stroke();
+    });
+  }
+
+  function resize() {
+    const { clientWidth, clientHeight } = overlay;
+    renderer.setSize(clientWidth, clientHeight, false);
+    camera.aspect = clientWidth / Math.max(clientHeight, 1);
+    camera.updateProjectionMatrix();
+  }
+
+  function render() {
+    camera.fov = view.fov;
+    camera.updateProjectionMatrix();
+    camera.lookAt(toVector(view.altitude, view.azimuth, 1));
+    renderer.render(scene, camera);
+    drawLabels();
+    frame = requestAnimationFrame(render);
+  }
+
+  /**
+   * Finds sunset on the chosen evening and looks towards the moon.
+   */
+  function setEvening(evening) {
+    dateInput.value = evening;
+    sunset = SunCalc.getTimes(getLocalNoon(evening, location.lon), location.lat, location.lon).sunset;
+    if (isNaN(sunset)) {
+      info.textContent = `The sun does not set at ${location.name} on this date.`;
+      sunset = null;
+      return;
+    }
+    slider.value = 0;
+
+    const moon = SunCalc.getMoonPosition(sunset, location.lat, location.lon);
+    view.azimuth = moon.altitude > 0 ? fromSunCalcAzimuth(moon.azimuth) : 270 * RAD;
+    view.altitude = 10 * RAD;
+    update();
+  }
+
+  /**
+   * The visible star under a pointer event, or -1.
+   */
+  function findStar(event) {
+    if (!starPoints) return -1;
+    const bounds = canvas.getBoundingClientRect();
+    return findStarAt(starPoints, catalog, camera, canvas, event.clientX - bounds.left, event.clientY - bounds.top,
+      { isVisible: isStarVisible });
+  }
+
+  // 5. Controls: drag to look around, wheel to zoom, arrows to step the time,
+  // point at or click a star for its details
+  let drag = null;
+  canvas.addEventListener('pointerdown', event => {
+    drag = { x: event.clientX, y: event.clientY, moved: false };
+    canvas.setPointerCapture?.(event.pointerId);
+  });
+  canvas.addEventListener('pointermove', event => {
+    if (!drag) {
+      const star = findStar(event);
+      if (star !== hoveredStar) {
+        hoveredStar = star;
+        canvas.classList.toggle('over-star', star !== -1);
+        showStarInfo();
+      }
+      return;
+    }
+    drag.moved ||= Math.abs(event.clientX - drag.x) + Math.abs(event.clientY - drag.y) > 3;
+    const scale = view.fov * RAD / canvas.clientHeight;
+    view.azimuth -= (event.clientX - drag.x) * scale;
+    view.altitude = Math.min(89 * RAD, Math.max(-10 * RAD, view.altitude + (event.clientY - drag.y) * scale));
+    drag = { ...drag, x: event.clientX, y: event.clientY };
+  });
+  canvas.addEventListener('pointerup', event => {
+    if (drag && !drag.moved) {
+      selectedStar = findStar(event);
+      showStarInfo();
+    }
+    drag = null;
+  });
+  canvas.addEventListener('pointerleave', () => {
+    hoveredStar = -1;
+    canvas.classList.remove('over-star');
+    showStarInfo();
+  });
+  canvas.addEventListener('wheel', event => {
+    event.preventDefault();
+    view.fov = Math.min(100, Math.max(10, view.fov * (event.deltaY > 0 ? 1.1 : 0.9)));
+  }, { passive: false });
+
+  slider.addEventListener('input', update);
+  magnitudeSlider.addEventListener('input', update);
+  Object.entries(layerToggles).forEach(([part, toggle]) => {
+    constellations.setVisible({ [part]: toggle.checked });
+    toggle.addEventListener('change', () => constellations.setVisible({ [part]: toggle.checked }));
+  });
+  dateInput.addEventListener('change', () => {
+    if (dateInput.value) setEvening(dateInput.value);
+  });
+  overlay.querySelector('#close-sky-view-btn').addEventListener('click', close);
+  overlay.addEventListener('keydown', event => {
+    if (event.key === 'Escape') close();
+  });
+  window.addEventListener('resize', () => {
+    if (!overlay.hidden) resize();
+  });
+
+  /**
+   * Shows the sky over `location` from sunset on `evening`.
+   */
+  function open(options) {
+    location = options.location;
+    overlay.hidden = false;
+    resize();
+    setEvening(options.evening);
+    catalogLoaded.then(update);
+    if (frame === null) render();
+    slider.focus();
+  }
+
+  function close() {
+    overlay.hidden = true;
+    cancelAnimationFrame(frame);
+    frame = null;
+  }
+
+  return { open, close };
+}
@@ -0,0 +1,272 @@
+/*
+ * ===================================
+ * starCatalog.js
+ * * The packed star catalog (stars.bin): a small header,
+ * * then the stars brightest first in magnitude tiers,
+ * * so the bright stars arrive first and fainter tiers
+ * * are fetched (with HTTP range requests) only when
+ * * they could be seen. Positions are J2000; the stars
+ * * are held in typed arrays, not one object each.
+ * *
+ * * Layout (little-endian):
+ * *   0  "STAR"            magic
+ * *   4  uint16            version (1)
+ * *   6  uint16            number of tiers
+ * *   8  uint32            number of stars
+ * *   12 uint16            bytes per star record (10)
+ * *   14 uint16            reserved (0)
+ * *   16 per tier, 16 bytes:
+ * *        float32 faintest magnitude, uint32 first star,
+ * *        uint32 byte offset, uint32 byte length
+ * * Each tier holds its star records, then one UTF-8
+ * * line per star: "proper name<TAB>Bayer/Flamsteed"
+ * * (empty for most). A record is:
+ * *   uint16 right ascension (1/65536 of a day)
+ * *   int16  declination (1/32767 of 90°)
+ * *   int16  magnitude (hundredths)
+ * *   int16  B–V colour index (thousandths; -32768 if unknown)
+ * *   uint16 Harvard Revised number (0 if none)
+ * ===================================
+ */
+
+const MAGIC = 'STAR';
+const VERSION = 1;
+const HEADER_BYTES = 16;
+const TIER_BYTES = 16;
+const RECORD_BYTES = 10;
+const NO_COLOR_INDEX = -32768;
+
+// The header is read with the first request; this caps the number of tiers
+const MAX_HEADER_BYTES = 1024;
+
+export const DEFAULT_TIERS = [3.5, 5, 6.5];
+
+const RAD = Math.PI / 180;
+
+// =============================================
+// WRITING
+// =============================================
+
+/**
+ * Packs catalog entries ({ ra in hours, dec in degrees, mag, ci, hr,
+ * proper, bf }, as in the HYG-style stars.json) into the binary format.
+ * `tiers` are the faintest magnitudes of each tier; stars fainter than
+ * the last are left out. Returns a Uint8Array.
+ */
+export function encodeStarCatalog(stars, { tiers = DEFAULT_TIERS } = {}) {
+  if (!Array.isArray(stars)) throw new Error('Star catalog: expected a list of stars.');
+  if (!tiers.length || (HEADER_BYTES + tiers.length * TIER_BYTES) > MAX_HEADER_BYTES ||
+      tiers.some((faintest, i) => !Number.isFinite(faintest) || (i > 0 && faintest <= tiers[i - 1]))) {
+    throw new Error('Star catalog: tiers must be increasing magnitudes.');
+  }
+  stars.forEach((star, i) => {
+    const label = `Star catalog entry ${i + 1}`;
+    if (![star?.ra, star?.dec, star?.mag].every(Number.isFinite) || Math.abs(star.dec) > 90) {
+      throw new Error(`${label}: "ra" (hours), "dec" (degrees) and "mag" must be numbers.`);
+    }
+    if ([star.proper, star.bf].some(text => /[\t\n]/.test(text ?? ''))) {
+      throw new Error(`${label}: names cannot contain tabs or line breaks.`);
+    }
+  });
+
+  // Brightest first (the sort is stable, so equal magnitudes keep their order)
+  const sorted = stars.filter(star => star.mag <= tiers[tiers.length - 1]).sort((a, b) => a.mag - b.mag);
+  const encoder = new TextEncoder();
+  const blocks = [];
+  let first = 0;
+  tiers.forEach(faintest => {
+    let end = first;
+    while (end < sorted.length && sorted[end].mag <= faintest) end++;
+    const tierStars = sorted.slice(first, end);
+
+    const names = encoder.encode(tierStars
+      .map(star => (star.proper || star.bf ? `${star.proper ?? ''}\t${star.bf ?? ''}` : ''))
+      .join('\n'));
+    const block = new Uint8Array(tierStars.length * RECORD_BYTES + names.length);
+    const view = new DataView(block.buffer);
+    tierStars.forEach((star, i) => {
+      const offset = i * RECORD_BYTES;
+      const hours = ((star.ra % 24) + 24) % 24;
+      view.setUint16(offset, Math.round(hours / 24 * 65536) % 65536, true);
+      view.setInt16(offset + 2, Math.round(star.dec / 90 * 32767), true);
+      view.setInt16(offset + 4, Math.round(star.mag * 100), true);
+      view.setInt16(offset + 6, Number.isFinite(star.ci) ? Math.round(star.ci * 1000) : NO_COLOR_INDEX, true);
+      view.setUint16(offset + 8, star.hr ?? 0, true);
+    });
+    block.set(names, tierStars.length * RECORD_BYTES);
+    blocks.push({ faintest, first, block });
+    first = end;
+  });
+
+  const headerBytes = HEADER_BYTES + tiers.length * TIER_BYTES;
+  const output = new Uint8Array(headerBytes + blocks.reduce((sum, { block }) => sum + block.length, 0));
+  const header = new DataView(output.buffer);
+  output.set(encoder.encode(MAGIC), 0);
+  header.setUint16(4, VERSION, true);
+  header.setUint16(6, tiers.length, true);
+  header.setUint32(8, sorted.length, true);
+  header.setUint16(12, RECORD_BYTES, true);
+
+  let offset = headerBytes;
+  blocks.forEach(({ faintest, first, block }, i) => {
+    const entry = HEADER_BYTES + i * TIER_BYTES;
+    header.setFloat32(entry, faintest, true);
+    header.setUint32(entry + 4, first, true);
+    header.setUint32(entry + 8, offset, true);
+    header.setUint32(entry + 12, block.length, true);
+    output.set(block, offset);
+    offset += block.length;
+  });
+  return output;
+}
+
+// =============================================
+// READING
+// =============================================
+
+/**
+ * Reads the header from the start of a catalog file (at least its first
+ * MAX_HEADER_BYTES, or the whole file if shorter).
+ */
+export function decodeStarCatalogHeader(buffer, label = 'Star catalog') {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < HEADER_BYTES ||
+      new TextDecoder().decode(new Uint8Array(buffer, 0, 4)) !== MAGIC) {
+    throw new Error(`${label}: not a packed star catalog.`);
+  }
+  const version = view.getUint16(4, true);
+  if (version !== VERSION) throw new Error(`${label}: unsupported version ${version}.`);
+  if (view.getUint16(12, true) !== RECORD_BYTES) throw new Error(`${label}: unexpected record size.`);
+
+  const tierCount = view.getUint16(6, true);
+  const count = view.getUint32(8, true);
+  if (buffer.byteLength < HEADER_BYTES + tierCount * TIER_BYTES) throw new Error(`${label}: the header is cut short.`);
+  const tiers = Array.from({ length: tierCount }, (_, i) => {
+    const entry = HEADER_BYTES + i * TIER_BYTES;
+    return {
+      faintest: view.getFloat32(entry, true),
+      first: view.getUint32(entry + 4, true),
+      offset: view.getUint32(entry + 8, true),
+      length: view.getUint32(entry + 12, true)
+    };
+  });
+  tiers.forEach((tier, i) => {
+    tier.count = (tiers[i + 1]?.first ?? count) - tier.first;
+    if (tier.count < 0 || tier.length < tier.count * RECORD_BYTES) {
+      throw new Error(`${label}: tier ${i + 1} is inconsistent with the header.`);
+    }
+  });
+  return { count, tiers };
+}
+
+/**
+ * Creates the empty typed arrays a catalog of `count` stars is read into.
+ * Right ascension and declination are in radians; stars not yet loaded
+ * have magnitude Infinity.
+ */
+function createStarArrays(count) {
+  return {
+    ra: new Float32Array(count),
+    dec: new Float32Array(count),
+    mag: new Float32Array(count).fill(Infinity),
+    ci: new Float32Array(count).fill(NaN),
+    hr: new Uint16Array(count),
+    proper: new Array(count).fill(null),
+    bf: new Array(count).fill(null)
+  };
+}
+
+/**
+ * Unpacks one tier's block into the arrays.
+ */
+function decodeTier(arrays, tier, block, label) {
+  if (block.byteLength !== tier.length) throw new Error(`${label}: a tier is cut short.`);
+  const view = new DataView(block);
+  for (let i = 0; i < tier.count; i++) {
+    const offset = i * RECORD_BYTES;
+    const index = tier.first + i;
+    arrays.ra[index] = view.getUint16(offset, true) / 65536 * 2 * Math.PI;
+    arrays.dec[index] = view.getInt16(offset + 2, true) / 32767 * 90 * RAD;
+    arrays.mag[index] = view.getInt16(offset + 4, true) / 100;
+    const ci = view.getInt16(offset + 6, true);
+    arrays.ci[index] = ci === NO_COLOR_INDEX ? NaN : ci / 1000;
+    arrays.hr[index] = view.getUint16(offset + 8, true);
+  }
+  const names = new TextDecoder().decode(new Uint8Array(block, tier.count * RECORD_BYTES)).split('\n');
+  names.forEach((line, i) => {
+    if (!line || i >= tier.count) return;
+    const [proper, bf] = line.split('\t');
+    arrays.proper[tier.first + i] = proper || null;
+    arrays.bf[tier.first + i] = bf || null;
+  });
+}
+
+/**
+ * Opens a packed catalog at `url` and loads its brightest tier. Returns
+ * { count, loaded, faintestLoaded, ra, dec, mag, ci, hr, proper, bf,
+ * load(magnitude), getStar(index) }: `count` stars in all, of which the
+ * first `loaded` (every star down to `faintestLoaded`) are in the arrays.
+ * `load(magnitude)` fetches the tiers needed to show stars down to
+ * `magnitude`. Servers that ignore range requests send the whole file
+ * at once, which works too.
+ */
+export async function openStarCatalog(url) {
+  const label = `Star catalog ${url}`;
+  let whole = null; // The whole file, if the server sent it all
+
+  async function fetchBytes(start, length) {
+    if (whole) return whole.slice(start, start + length);
+    const response = await fetch(url, { headers: { Range: `bytes=${start}-${start + length - 1}` } });
+    if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    const buffer = await response.arrayBuffer();
+    if (response.status === 206) return buffer;
+    whole = buffer;
+    return whole.slice(start, start + length);
+  }
+
+  const { count, tiers } = decodeStarCatalogHeader(await fetchBytes(0, MAX_HEADER_BYTES), label);
+  let nextTier = 0;
+  let queue = Promise.resolve();
+  const catalog = {
+    count,
+    loaded: 0,
+    faintestLoaded: -Infinity,
+    tiers: tiers.map(({ faintest, count }) => ({ faintest, count })),
+    ...createStarArrays(count),
+
+    /**
+     * Loads every tier that could hold stars down to `magnitude`, in order.
+     */
+    load(magnitude) {
+      const result = queue.then(async () => {
+        while (nextTier < tiers.length && (nextTier === 0 || tiers[nextTier - 1].faintest < magnitude)) {
+          const tier = tiers[nextTier];
+          decodeTier(catalog, tier, await fetchBytes(tier.offset, tier.length), label);
+          catalog.loaded = tier.first + tier.count;
+          catalog.faintestLoaded = tier.faintest;
+          nextTier++;
+        }
+      });
+      queue = result.catch(() => {}); // A failed tier can be tried again
+      return result;
+    },
+
+    /**
+     * One star as an object: { ra, dec (radians), mag, ci, hr, proper, bf }.
+     */
+    getStar(index) {
+      return {
+        ra: catalog.ra[index],
+        dec: catalog.dec[index],
+        mag: catalog.mag[index],
+        ci: Number.isNaN(catalog.ci[index]) ? null : catalog.ci[index],
+        hr: catalog.hr[index] || null,
+        proper: catalog.proper[index],
+        bf: catalog.bf[index]
+      };
+    }
+  };
+
+  await catalog.load(-Infinity);
+  return catalog;
+}
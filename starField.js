@@ -0,0 +1,242 @@
+/*
+ * ===================================
+ * starField.js
+ * * Stars as the eye sees them: a shader sizes and
+ * * brightens each star by its magnitude and tints it
+ * * by its B–V colour index, down to a limiting
+ * * magnitude. Also names stars (proper names, Bayer
+ * * and Flamsteed designations) and finds the star
+ * * under the pointer.
+ * ===================================
+ */
+
+import * as THREE from 'three';
+
+const RAD = Math.PI / 180;
+
+// Bayer letters as abbreviated in the catalog
+const GREEK_LETTERS = {
+  Alp: 'α', Bet: 'β', Gam: 'γ', Del: 'δ', Eps: 'ε', Zet: 'ζ', Eta: 'η', The: 'θ',
+  Iot: 'ι', Kap: 'κ', Lam: 'λ', Mu: 'μ', Nu: 'ν', Xi: 'ξ', Omi: 'ο', Pi: 'π',
+  Rho: 'ρ', Sig: 'σ', Tau: 'τ', Ups: 'υ', Phi: 'φ', Chi: 'χ', Psi: 'ψ', Ome: 'ω'
+};
+const SUPERSCRIPTS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+
+// Colour names by B–V index (upper bounds)
+const COLOR_NAMES = [[-0.1, 'blue'], [0.15, 'blue-white'], [0.45, 'white'], [0.8, 'yellow'], [1.3, 'orange'], [Infinity, 'red']];
+
+// Stars grow as this power of their brightness: three magnitudes brighter, twice as wide
+const SIZE_PER_FLUX = 0.25;
+const MAX_POINT_SIZE = 14;
+
+// =============================================
+// NAMES AND DETAILS
+// =============================================
+
+/**
+ * Splits a catalog "bf" field (e.g. "21Alp And", "Kap1Scl", "Mu 1Sco",
+ * "29    Psc") into its Bayer designation ("α And", "κ¹ Scl") and
+ * Flamsteed number ("21 And"). Either may be null.
+ */
+export function parseDesignation(bf) {
+  const match = /^(\d+)?\s*([A-Z][a-z]{1,2})? ?(\d)?\s*([A-Z][A-Za-z]{2})$/.exec(bf?.trim() ?? '');
+  if (!match) return { bayer: null, flamsteed: null };
+  const [, number, letter, index, constellation] = match;
+  const greek = GREEK_LETTERS[letter];
+  return {
+    bayer: greek ? `${greek}${index ? SUPERSCRIPTS[index] : ''} ${constellation}` : null,
+    flamsteed: number ? `${number} ${constellation}` : null
+  };
+}
+
+/**
+ * The name to label a star with: its proper name, else its Bayer or
+ * Flamsteed designation, else null.
+ */
+export function getStarLabel(star) {
+  if (star.proper) return star.proper;
+  const { bayer, flamsteed } = parseDesignation(star.bf);
+  return bayer ?? flamsteed;
+}
+
+/**
+ * A one-line description of a star (see the catalog's getStar), e.g.
+ * "Sirius (α CMa, 9 CMa), HR 2491: magnitude -1.44, B–V 0.01 (blue-white), RA 6h 45.1m, Dec -16° 42′".
+ */
+export function describeStar(star) {
+  const { bayer, flamsteed } = parseDesignation(star.bf);
+  const designations = [bayer, flamsteed].filter(Boolean).join(', ');
+  let name = star.proper ?? (designations || 'Unnamed star');
+  if (star.proper && designations) name += ` (${designations})`;
+  if (star.hr) name += `, HR ${star.hr}`;
+
+  const details = [`magnitude ${star.mag.toFixed(2)}`];
+  if (Number.isFinite(star.ci)) {
+    details.push(`B–V ${star.ci.toFixed(2)} (${COLOR_NAMES.find(([limit]) => star.ci < limit)[1]})`);
+  }
+  const hours = ((star.ra / RAD / 15) % 24 + 24) % 24;
+  const dec = star.dec / RAD;
+  details.push(`RA ${Math.floor(hours)}h ${((hours % 1) * 60).toFixed(1)}m`);
+  details.push(`Dec ${dec < 0 ? '-' : '+'}${Math.floor(Math.abs(dec))}° ${Math.floor(Math.abs(dec) % 1 * 60)}′`);
+  return `${name}: ${details.join(', ')}`;
+}
+
+// =============================================
+// COLOUR AND SHADER
+// =============================================
+
+/**
+ * The colour of a star from its B–V index: the temperature by Ballesteros'
+ * formula, then the colour of a black body at that temperature. Stars with
+ * no index are drawn white.
+ */
+export function bvToColor(bv) {
+  if (!Number.isFinite(bv)) return new THREE.Color(1, 1, 1);
+  const index = Math.min(2, Math.max(-0.4, bv));
+  const kelvin = 4600 * (1 / (0.92 * index + 1.7) + 1 / (0.92 * index + 0.62));
+
+  // Tanner Helland's fit to the black-body colours, in hundreds of kelvin
+  const t = kelvin / 100;
+  const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const green = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661
+    : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  const channel = value => Math.min(255, Math.max(0, value)) / 255;
+  return new THREE.Color().setRGB(channel(red), channel(green), channel(blue), THREE.SRGBColorSpace);
+}
+
+const STAR_VERTEX_SHADER = `
+  attribute float magnitude;
+  attribute vec3 starColor;
+  uniform float limitingMagnitude;
+  uniform float pointScale;
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    // Brightness relative to a star at the limit; fainter stars fade out over the last magnitude
+    float flux = pow(10.0, 0.4 * (limitingMagnitude - magnitude));
+    vAlpha = clamp(limitingMagnitude - magnitude, 0.0, 1.0);
+    vColor = starColor;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = vAlpha > 0.0 ? min(${MAX_POINT_SIZE.toFixed(1)}, 1.5 * pow(flux, ${SIZE_PER_FLUX.toFixed(2)})) * pointScale : 0.0;
+  }
+`;
+
+const STAR_FRAGMENT_SHADER = `
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    // A bright core fading to the edge of the point
+    float r = length(gl_PointCoord - 0.5) * 2.0;
+    if (r > 1.0 || vAlpha <= 0.0) discard;
+    gl_FragColor = vec4(vColor, vAlpha * exp(-3.0 * r * r));
+    #include <colorspace_fragment>
+  }
+`;
+
+/**
+ * THREE.Points for a star catalog (see openStarCatalog in starCatalog.js),
+ * drawn by magnitude and colour, with room for every star in it. The
+ * positions start at the origin; fill `points.geometry.attributes.position`
+ * and set its needsUpdate. `pointScale` multiplies every star's size in pixels.
+ */
+export function createStarPoints(catalog, { limitingMagnitude = 6.5, pointScale = 1 } = {}) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(catalog.count * 3), 3));
+  geometry.setAttribute('magnitude', new THREE.BufferAttribute(catalog.mag, 1));
+  geometry.setAttribute('starColor', new THREE.BufferAttribute(new Float32Array(catalog.count * 3), 3));
+  geometry.setDrawRange(0, 0);
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      limitingMagnitude: { value: limitingMagnitude },
+      pointScale: { value: pointScale * (window.devicePixelRatio || 1) }
+    },
+    vertexShader: STAR_VERTEX_SHADER,
+    fragmentShader: STAR_FRAGMENT_SHADER,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false; // The positions change after the bounding sphere is computed
+  refreshStarPoints(points, catalog);
+  return points;
+}
+
+/**
+ * Takes in the stars the catalog has loaded since the points were made or
+ * last refreshed. Returns true if there were any (their positions then
+ * need filling in).
+ */
+export function refreshStarPoints(points, catalog) {
+  const { drawRange, attributes } = points.geometry;
+  const first = drawRange.count;
+  if (catalog.loaded === first) return false;
+  for (let i = first; i < catalog.loaded; i++) {
+    bvToColor(catalog.ci[i]).toArray(attributes.starColor.array, i * 3);
+  }
+  attributes.starColor.needsUpdate = true;
+  attributes.magnitude.needsUpdate = true;
+  points.geometry.setDrawRange(0, catalog.loaded);
+  return true;
+}
+
+/**
+ * Sets the faintest magnitude drawn by createStarPoints.
+ */
+export function setLimitingMagnitude(points, magnitude) {
+  points.material.uniforms.limitingMagnitude.value = magnitude;
+}
+
+// =============================================
+// PICKING
+// =============================================
+
+const projected = new THREE.Vector3();
+
+/**
+ * The index of the catalog star drawn nearest to a point on the canvas
+ * (pixels from its top left), within `radius` pixels, or -1. Only stars
+ * brighter than the limit count, and `isVisible(index)` can rule out
+ * others (e.g. stars below the horizon).
+ */
+export function findStarAt(points, catalog, camera, canvas, x, y, { radius = 10, isVisible = () => true } = {}) {
+  const positions = points.geometry.attributes.position;
+  const limit = points.material.uniforms.limitingMagnitude.value;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  let nearest = -1;
+  let nearestDistance = radius * radius;
+
+  // The catalog is sorted by magnitude, so stop at the first star too faint to see
+  for (let i = 0; i < catalog.loaded && catalog.mag[i] < limit; i++) {
+    projected.fromBufferAttribute(positions, i).applyMatrix4(points.matrixWorld).project(camera);
+    if (projected.z > 1) continue; // Behind the camera
+    const dx = (projected.x + 1) / 2 * width - x;
+    const dy = (1 - projected.y) / 2 * height - y;
+    const distance = dx * dx + dy * dy;
+    if (distance < nearestDistance && isVisible(i)) {
+      nearest = i;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Where a star is drawn on the canvas, in pixels from its top left, or
+ * null if it is behind the camera.
+ */
+export function getStarScreenPosition(points, index, camera, canvas) {
+  projected.fromBufferAttribute(points.geometry.attributes.position, index)
+    .applyMatrix4(points.matrixWorld).project(camera);
+  if (projected.z > 1) return null;
+  return {
+    x: (projected.x + 1) / 2 * canvas.clientWidth,
+    y: (1 - projected.y) / 2 * canvas.clientHeight
+  };
+}
@@ -0,0 +1,485 @@
+/*
+ * ===================================
+ * storage.js
+ * * Saved calendar data: a versioned schema keyed by
+ * * biblical year, migrations from older formats,
+ * * validation on load, and JSON backup files.
+ * * Where the data is kept is up to the backend
+ * * (see storageBackends.js).
+ * *
+ * * Schema (version 5):
+ * * {
+ * *   version: 5,
+ * *   settings: {
+ * *     locations: { authority, observer },
+ * *     observances: [ { id, name, rule, description, highSabbath } ],  // see feastRules.js
+ * *     reckoning: 'sunday-in-feast'  // how the Wave Sheaf is counted (see RECKONINGS in feasts.js)
+ * *   },
+ * *   years: {
+ * *     "2026": {
+ * *       months: { "1": "2026-03-21", ... },  // confirmed Day 1s
+ * *       avivReports: [ { id, date, location, reporter, state, notes } ],
+ * *       sightings: [ { id, month, evening, time, observer, location, aid, sky, seen, notes } ],
+ * *       evidence: { "1": { basis, evening, reportIds, confirmedAt }, ... }
+ * *     }
+ * *   }
+ * * }
+ * ===================================
+ */
+
+import { createBarleyReport } from './aviv.js';
+import { DEFAULT_LOCATIONS, findCity, createCustomLocation } from './locations.js';
+import { createSightingReport } from './sightings.js';
+import { FEASTS, RECKONINGS, DEFAULT_RECKONING } from './feasts.js';
+import { validateObservances } from './feastRules.js';
+import { createWebStorageBackend } from './storageBackends.js';
+
+export const STORAGE_KEY = 'karaiteCalendar';
+export const SCHEMA_VERSION = 5;
+
+// Version 1 kept barley reports under their own key
+const LEGACY_AVIV_KEY = 'karaiteAvivReports';
+const BACKUP_APP_ID = 'karaite-messianic-calendar';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EVIDENCE_BASES = ['sighting', 'manual'];
+
+/**
+ * A new, empty calendar in the current schema.
+ */
+export function createEmptyCalendar() {
+  return {
+    version: SCHEMA_VERSION,
+    settings: { locations: { ...DEFAULT_LOCATIONS }, observances: [], reckoning: DEFAULT_RECKONING },
+    years: {}
+  };
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time.
+ */
+function toDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// =============================================
+// MIGRATIONS
+// =============================================
+
+/**
+ * Version 1 was a flat object: { "1": ISO date, ..., waveSheafDate, locations },
+ * with no year, plus barley reports keyed by year under a separate key.
+ * Months 10-13 that start in January-April belong to the previous spring's year.
+ */
+function migrateV1(old, legacyAvivReports = {}) {
+  const calendar = createEmptyCalendar();
+
+  Object.keys(old)
+    .filter(key => /^\d+$/.test(key))
+    .forEach(key => {
+      const monthNumber = Number(key);
+      const dayOne = new Date(old[key]);
+      if (isNaN(dayOne)) return;
+
+      const year = monthNumber >= 10 && dayOne.getMonth() <= 3
+        ? dayOne.getFullYear() - 1
+        : dayOne.getFullYear();
+      getYearData(calendar, year).months[monthNumber] = toDateString(dayOne);
+    });
+
+  Object.keys(legacyAvivReports).forEach(year => {
+    getYearData(calendar, Number(year)).avivReports = legacyAvivReports[year];
+  });
+
+  if (old.locations) {
+    calendar.settings.locations = { ...DEFAULT_LOCATIONS, ...old.locations };
+  }
+  calendar.version = 2;
+  return calendar;
+}
+
+/**
+ * Version 3 added sighting reports and the evidence behind each confirmed Day 1.
+ * Months confirmed before then were typed in by hand.
+ */
+function migrateV2(old) {
+  const years = {};
+  Object.entries(old.years || {}).forEach(([year, yearData]) => {
+    const evidence = {};
+    Object.keys((yearData && yearData.months) || {}).forEach(month => {
+      evidence[month] = { basis: 'manual', evening: null, reportIds: [], confirmedAt: null };
+    });
+    years[year] = { ...yearData, sightings: [], evidence };
+  });
+  return { ...old, version: 3, years };
+}
+
+/**
+ * Version 4 added custom observances to the settings.
+ */
+function migrateV3(old) {
+  return { ...old, version: 4, settings: { ...old.settings, observances: [] } };
+}
+
+/**
+ * Version 5 added the reckoning of the Wave Sheaf. Earlier versions
+ * always used the Sunday during Unleavened Bread.
+ */
+function migrateV4(old) {
+  return { ...old, version: 5, settings: { ...old.settings, reckoning: 'sunday-in-feast' } };
+}
+
+// Each entry upgrades data from its version to the next one.
+const MIGRATIONS = {
+  1: migrateV1,
+  2: migrateV2,
+  3: migrateV3,
+  4: migrateV4
+};
+
+/**
+ * Brings parsed data of any known version up to the current schema.
+ */
+export function migrateCalendar(data, legacyAvivReports) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Saved calendar data is not an object.');
+  }
+  let version = typeof data.version === 'number' ? data.version : 1;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`This data was saved by a newer version of the calendar (schema ${version}).`);
+  }
+
+  let migrated = data;
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated, legacyAvivReports);
+    version += 1;
+  }
+  return migrated;
+}
+
+// =============================================
+// VALIDATION
+// =============================================
+
+/**
+ * Checks a location setting: a gazetteer id or a custom location.
+ */
+function validateLocation(setting, fallback, problems) {
+  if (typeof setting === 'string' && findCity(setting)) {
+    return setting;
+  }
+  if (setting && typeof setting === 'object') {
+    try {
+      return createCustomLocation(setting);
+    } catch (error) {
+      problems.push(`Location ignored: ${error.message}`);
+      return fallback;
+    }
+  }
+  problems.push(`Unknown location "${setting}" replaced with ${fallback}.`);
+  return fallback;
+}
+
+/**
+ * Checks the evidence kept with a confirmed Day 1. Returns a clean copy, or null.
+ */
+function validateEvidence(evidence, reportIds) {
+  if (!evidence || !EVIDENCE_BASES.includes(evidence.basis)) {
+    return null;
+  }
+  return {
+    basis: evidence.basis,
+    evening: DATE_PATTERN.test(evidence.evening) ? evidence.evening : null,
+    reportIds: (Array.isArray(evidence.reportIds) ? evidence.reportIds : []).filter(id => reportIds.includes(id)),
+    confirmedAt: typeof evidence.confirmedAt === 'string' ? evidence.confirmedAt : null
+  };
+}
+
+/**
+ * Checks data in the current schema. Invalid entries are dropped
+ * (and listed in `problems`) rather than breaking the page.
+ * Returns { calendar, problems }.
+ */
+export function validateCalendar(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Saved calendar data is not an object.');
+  }
+
+  const problems = [];
+  const calendar = createEmptyCalendar();
+
+  // 1. Settings
+  const locations = (data.settings && data.settings.locations) || {};
+  calendar.settings.locations = {
+    authority: validateLocation(locations.authority ?? DEFAULT_LOCATIONS.authority, DEFAULT_LOCATIONS.authority, problems),
+    observer: validateLocation(locations.observer ?? DEFAULT_LOCATIONS.observer, DEFAULT_LOCATIONS.observer, problems)
+  };
+  const observances = validateObservances((data.settings && data.settings.observances) || [], FEASTS);
+  calendar.settings.observances = observances.observances;
+  observances.problems.forEach(problem => problems.push(`Custom observance ignored: ${problem}`));
+  const reckoning = data.settings && data.settings.reckoning;
+  if (RECKONINGS[reckoning]) {
+    calendar.settings.reckoning = reckoning;
+  } else {
+    problems.push(`Unknown reckoning "${reckoning}" replaced with ${DEFAULT_RECKONING}.`);
+  }
+
+  // 2. Years
+  Object.entries(data.years || {}).forEach(([year, yearData]) => {
+    if (!/^\d{4}$/.test(year) || !yearData || typeof yearData !== 'object') {
+      problems.push(`Year "${year}" ignored: not a valid year.`);
+      return;
+    }
+    const cleanYear = getYearData(calendar, Number(year));
+
+    Object.entries(yearData.months || {}).forEach(([month, date]) => {
+      const monthNumber = Number(month);
+      const valid = Number.isInteger(monthNumber) && monthNumber >= 1 && monthNumber <= 13 &&
+        DATE_PATTERN.test(date) && !isNaN(new Date(date + 'T00:00:00'));
+      if (valid) {
+        cleanYear.months[monthNumber] = date;
+      } else {
+        problems.push(`${year} Month ${month} ignored: "${date}" is not a valid Day 1.`);
+      }
+    });
+
+    (Array.isArray(yearData.avivReports) ? yearData.avivReports : []).forEach(report => {
+      try {
+        cleanYear.avivReports.push(createBarleyReport(report || {}));
+      } catch (error) {
+        problems.push(`${year} barley report ignored: ${error.message}`);
+      }
+    });
+
+    (Array.isArray(yearData.sightings) ? yearData.sightings : []).forEach(report => {
+      try {
+        cleanYear.sightings.push(createSightingReport(report || {}));
+      } catch (error) {
+        problems.push(`${year} sighting report ignored: ${error.message}`);
+      }
+    });
+
+    // Evidence is only kept for months that are still confirmed
+    const reportIds = cleanYear.sightings.map(report => report.id);
+    Object.entries(yearData.evidence || {}).forEach(([month, evidence]) => {
+      if (!cleanYear.months[month]) return;
+      const cleanEvidence = validateEvidence(evidence, reportIds);
+      if (cleanEvidence) {
+        cleanYear.evidence[month] = cleanEvidence;
+      } else {
+        problems.push(`${year} Month ${month}: the record of how it was confirmed could not be read.`);
+      }
+    });
+  });
+
+  return { calendar, problems };
+}
+
+// =============================================
+// YEAR HELPERS
+// =============================================
+
+/**
+ * The saved data for one biblical year, created if missing.
+ */
+export function getYearData(calendar, year) {
+  if (!calendar.years[year]) {
+    calendar.years[year] = { months: {}, avivReports: [], sightings: [], evidence: {} };
+  }
+  return calendar.years[year];
+}
+
+/**
+ * The confirmed Day 1 of a month as a local-midnight Date, or null.
+ */
+export function getConfirmedDayOne(calendar, year, monthNumber) {
+  const yearData = calendar.years[year];
+  const date = yearData && yearData.months[monthNumber];
+  return date ? new Date(date + 'T00:00:00') : null;
+}
+
+/**
+ * Records the confirmed Day 1 (YYYY-MM-DD) of a month, with how it was
+ * decided (see createConfirmationEvidence in sightings.js). Without evidence
+ * it counts as entered by hand, unless the same date is simply re-entered.
+ */
+export function setConfirmedDayOne(calendar, year, monthNumber, dateString, evidence = null) {
+  const yearData = getYearData(calendar, year);
+  const unchanged = yearData.months[monthNumber] === dateString && yearData.evidence[monthNumber];
+  yearData.months[monthNumber] = dateString;
+  yearData.evidence[monthNumber] = evidence || (unchanged ? yearData.evidence[monthNumber] :
+    { basis: 'manual', evening: null, reportIds: [], confirmedAt: new Date().toISOString() });
+}
+
+/**
+ * How a month's Day 1 was confirmed, or null.
+ */
+export function getConfirmationEvidence(calendar, year, monthNumber) {
+  const yearData = calendar.years[year];
+  return (yearData && yearData.evidence[monthNumber]) || null;
+}
+
+// =============================================
+// LOAD / SAVE
+// =============================================
+
+const isChanged = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+/**
+ * Loads, migrates and validates the saved calendar from a backend
+ * (this browser's localStorage by default), writing it back only if
+ * that changed it. Unreadable data is copied to a backup key and
+ * replaced with an empty calendar, so a corrupt entry can never break
+ * page load. A remote backend is never written to while loading: its
+ * data is left as it is, even when unreadable.
+ * A backend that cannot be reached rejects instead, leaving its data alone.
+ * Resolves to { calendar, problems }.
+ */
+export async function loadCalendar(backend = createWebStorageBackend()) {
+  const raw = await backend.read(STORAGE_KEY);
+  if (!raw) {
+    return { calendar: createEmptyCalendar(), problems: [] };
+  }
+
+  let parsed;
+  let legacyAviv;
+  let result;
+  try {
+    legacyAviv = await backend.read(LEGACY_AVIV_KEY);
+    parsed = JSON.parse(raw);
+    result = validateCalendar(migrateCalendar(parsed, legacyAviv ? JSON.parse(legacyAviv) : {}));
+  } catch (error) {
+    console.error('Could not read the saved calendar:', error);
+    const calendar = createEmptyCalendar();
+    if (backend.remote) {
+      return {
+        calendar,
+        problems: [`Saved data on ${backend.description} could not be read (${error.message}). It was left unchanged there.`]
+      };
+    }
+    const backupKey = `${STORAGE_KEY}.unreadable-${Date.now()}`;
+    await backend.write(backupKey, raw);
+    await saveCalendar(calendar, backend);
+    return {
+      calendar,
+      problems: [`Saved data could not be read (${error.message}). It was kept under "${backupKey}".`]
+    };
+  }
+
+  // A shared calendar is upgraded with the next save, by whoever may save
+  if (!backend.remote && isChanged(parsed, result.calendar)) {
+    await saveCalendar(result.calendar, backend);
+    if (legacyAviv !== null) await backend.remove(LEGACY_AVIV_KEY);
+  }
+  return result;
+}
+
+export async function saveCalendar(calendar, backend = createWebStorageBackend()) {
+  await backend.write(STORAGE_KEY, JSON.stringify(calendar));
+}
+
+
+/**
+ * Reports by id: `stored`, less those removed and plus those added in
+ * `local` since `base`.
+ */
+function mergeReports(base, local, stored) {
+  const baseIds = new Set(base.map(report => report.id));
+  const localIds = new Set(local.map(report => report.id));
+  const merged = stored.filter(report => !baseIds.has(report.id) || localIds.has(report.id));
+  const mergedIds = new Set(merged.map(report => report.id));
+  return [...merged, ...local.filter(report => !baseIds.has(report.id) && !mergedIds.has(report.id))];
+}
+
+/**
+ * An object's entries: `stored`, with each entry changed in `local` since
+ * `base` taken from `local` (or removed).
+ */
+function mergeEntries(base, local, stored) {
+  const merged = { ...stored };
+  new Set([...Object.keys(base), ...Object.keys(local)]).forEach(key => {
+    if (!isChanged(base[key], local[key])) return;
+    if (key in local) merged[key] = local[key];
+    else delete merged[key];
+  });
+  return merged;
+}
+
+/**
+ * Merges this page's changes since `base` (the calendar as last loaded or
+ * saved) into `stored` (what is saved now, perhaps by someone else).
+ * Sighting and barley reports are merged by id, so reports added or
+ * removed on either side stay added or removed; for confirmed months,
+ * their evidence and the settings, this page's changes win.
+ */
+export function mergeCalendars(base, local, stored) {
+  const merged = { ...stored, settings: mergeEntries(base.settings, local.settings, stored.settings), years: {} };
+  new Set([...Object.keys(base.years), ...Object.keys(local.years), ...Object.keys(stored.years)]).forEach(year => {
+    const [baseYear, localYear, storedYear] = [base, local, stored]
+      .map(calendar => calendar.years[year] || { months: {}, avivReports: [], sightings: [], evidence: {} });
+    merged.years[year] = {
+      months: mergeEntries(baseYear.months, localYear.months, storedYear.months),
+      avivReports: mergeReports(baseYear.avivReports, localYear.avivReports, storedYear.avivReports)
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      sightings: mergeReports(baseYear.sightings, localYear.sightings, storedYear.sightings)
+        .sort((a, b) => a.evening.localeCompare(b.evening) || a.time.localeCompare(b.time)),
+      evidence: mergeEntries(baseYear.evidence, localYear.evidence, storedYear.evidence)
+    };
+  });
+  return merged;
+}
+
+/**
+ * Saves this page's changes since `base` without overwriting anyone
+ * else's: re-reads the saved calendar, merges (see mergeCalendars) and
+ * writes the result, reading again if the backend reports that someone
+ * saved in between. Resolves to the calendar as saved, the next `base`.
+ */
+export async function syncCalendar(base, local, backend = createWebStorageBackend(), { attempts = 3 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const raw = await backend.read(STORAGE_KEY);
+    const stored = raw ? validateCalendar(migrateCalendar(JSON.parse(raw), {})).calendar : createEmptyCalendar();
+    const merged = mergeCalendars(base, local, stored);
+    try {
+      await saveCalendar(merged, backend);
+      return merged;
+    } catch (error) {
+      if (!error.conflict || attempt >= attempts) throw error;
+    }
+  }
+}
+
+// =============================================
+// BACKUP FILES
+// =============================================
+
+/**
+ * Serializes the calendar as a JSON backup file.
+ */
+export function exportCalendarBackup(calendar, now = new Date()) {
+  return JSON.stringify({ app: BACKUP_APP_ID, exportedAt: now.toISOString(), ...calendar }, null, 2);
+}
+
+/**
+ * Reads a JSON backup file (of any known schema version).
+ * Throws an Error with a readable message if it is not a backup.
+ * Returns { calendar, problems }.
+ */
+export function importCalendarBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The file is not a calendar backup.');
+  }
+
+  const { app, exportedAt, ...calendar } = data;
+  if (app !== undefined && app !== BACKUP_APP_ID) {
+    throw new Error('The file is a backup from a different app.');
+  }
+  return validateCalendar(migrateCalendar(calendar, {}));
+}
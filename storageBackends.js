@@ -0,0 +1,125 @@
+/*
+ * ===================================
+ * storageBackends.js
+ * * Where saved calendar data lives. storage.js reads and
+ * * writes text under a key through a backend, so the
+ * * browser's localStorage can be swapped for a folder of
+ * * JSON files (Node) or a small self-hosted HTTP endpoint.
+ * *
+ * * A backend is { description, read(key), write(key, text), remove(key) };
+ * * all three methods return Promises, and read resolves to null
+ * * when nothing is saved under the key. A write that would
+ * * overwrite data someone else saved since this backend read
+ * * it rejects with an Error whose `conflict` is true (only the
+ * * HTTP backend can tell). Backends shared with others (the
+ * * HTTP backend) also have `remote: true`.
+ * ===================================
+ */
+
+/**
+ * Browser storage (localStorage by default).
+ */
+export function createWebStorageBackend(storage = globalThis.localStorage) {
+  return {
+    description: 'this browser',
+    async read(key) {
+      return storage.getItem(key);
+    },
+    async write(key, text) {
+      storage.setItem(key, text);
+    },
+    async remove(key) {
+      storage.removeItem(key);
+    }
+  };
+}
+
+/**
+ * A folder of JSON files, one per key (Node only).
+ */
+export function createFileBackend(directory) {
+  const modules = Promise.all([import('node:fs/promises'), import('node:path')]);
+  const fileFor = async key => {
+    const [, path] = await modules;
+    return path.join(directory, `${encodeURIComponent(key)}.json`);
+  };
+
+  return {
+    description: directory,
+    async read(key) {
+      const [fs] = await modules;
+      try {
+        return await fs.readFile(await fileFor(key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async write(key, text) {
+      const [fs] = await modules;
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(await fileFor(key), text, 'utf8');
+    },
+    async remove(key) {
+      const [fs] = await modules;
+      await fs.rm(await fileFor(key), { force: true });
+    }
+  };
+}
+
+/**
+ * A self-hosted endpoint: GET, PUT and DELETE on `${baseUrl}/${key}`
+ * (see storageServer.js). GET answers 404 when nothing is saved; saving
+ * needs the server's `token`. Each write sends the ETag of the last read
+ * (or asks that nothing be saved yet), and the server answers 409 if the
+ * data has changed since.
+ */
+export function createHttpBackend(baseUrl, { token = '', fetch = globalThis.fetch } = {}) {
+  const urlFor = key => `${baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(key)}`;
+  const versions = new Map(); // key -> ETag last read or written (null: nothing saved)
+  const send = async (key, options = {}) => {
+    const headers = { ...options.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    const response = await fetch(urlFor(key), { ...options, headers });
+    if (response.status === 409) {
+      throw Object.assign(new Error(`${urlFor(key)} was changed by someone else.`), { conflict: true });
+    }
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`${options.method || 'GET'} ${urlFor(key)} failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  };
+
+  return {
+    description: baseUrl,
+    remote: true,
+    async read(key) {
+      const response = await send(key);
+      versions.set(key, response.status === 404 ? null : response.headers.get('ETag'));
+      return response.status === 404 ? null : response.text();
+    },
+    async write(key, text) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (versions.get(key)) headers['If-Match'] = versions.get(key);
+      else if (versions.has(key)) headers['If-None-Match'] = '*';
+      const response = await send(key, { method: 'PUT', headers, body: text });
+      versions.set(key, response.headers.get('ETag'));
+    },
+    async remove(key) {
+      await send(key, { method: 'DELETE' });
+      versions.delete(key);
+    }
+  };
+}
+
+/**
+ * The backend for a saved setting: { type: 'local' } or { type: 'http', url, token }.
+ */
+export function createBackend(setting = { type: 'local' }) {
+  if (setting.type === 'http') {
+    if (!/^https?:\/\//.test(setting.url || '')) {
+      throw new Error('Please enter the storage server address, starting with http:// or https://.');
+    }
+    return createHttpBackend(setting.url, { token: setting.token });
+  }
+  return createWebStorageBackend();
+}
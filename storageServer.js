@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/*
+ * ===================================
+ * storageServer.js
+ * * A small self-hosted endpoint for the calendar's saved
+ * * data, so a group can share one calendar (and its
+ * * sighting reports) instead of each browser keeping its own.
+ * * Each key is stored as a file in a folder.
+ * *
+ * *   node storageServer.js --token <secret> --origin <page origin>
+ * *     [--port 8787] [--dir ./calendar-data]
+ * *
+ * * Saving needs the token (or STORAGE_TOKEN); without one
+ * * the server is read-only. Only pages from the listed
+ * * origins may call it from a browser. Point the page's
+ * * "Storage server" setting at http://host:port.
+ * *
+ * * GET /calendar.ics is a feed of the saved calendar's
+ * * feasts for this biblical year and the next, which
+ * * calendar apps can subscribe to.
+ * ===================================
+ */
+
+import { createServer } from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { createFileBackend } from './storageBackends.js';
+import { STORAGE_KEY, createEmptyCalendar, importCalendarBackup } from './storage.js';
+import { computeYear } from './calendar.js';
+import { getBiblicalYearFor } from './biblicalYear.js';
+import { buildICalendarFeed } from './ics.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const KEY_PATTERN = /^[\w.-]+$/;
+const FEED_PATH = '/calendar.ics';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', short: 'p', default: process.env.PORT || '8787' },
+    dir: { type: 'string', short: 'd', default: './calendar-data' },
+    token: { type: 'string', short: 't', default: process.env.STORAGE_TOKEN },
+    origin: { type: 'string', short: 'o', multiple: true, default: [] }
+  }
+});
+const backend = createFileBackend(values.dir);
+
+/**
+ * Reads a request body, refusing anything larger than MAX_BODY_BYTES.
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Body too large'), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * The ETag of a key's saved text.
+ */
+function etagFor(text) {
+  return `"${createHash('sha1').update(text).digest('hex')}"`;
+}
+
+// Writes run one at a time, so a check against the ETag cannot be overtaken
+let writing = Promise.resolve();
+
+function exclusive(task) {
+  const result = writing.then(task);
+  writing = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Whether a saved text still matches a request's If-Match or
+ * If-None-Match: * (nothing saved yet). Requests with neither always match.
+ */
+function matchesVersion(request, text) {
+  const ifMatch = request.headers['if-match'];
+  if (ifMatch) return text !== null && ifMatch === etagFor(text);
+  if (request.headers['if-none-match'] === '*') return text === null;
+  return true;
+}
+
+/**
+ * Whether a request carries the write token ("Authorization: Bearer <token>").
+ */
+function isAuthorized(request) {
+  if (!values.token) return false;
+  const given = Buffer.from(request.headers.authorization ?? '');
+  const expected = Buffer.from(`Bearer ${values.token}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * The feasts of this biblical year and the next, as computed from the
+ * saved calendar (its confirmed months, locations and observances).
+ */
+async function buildFeed() {
+  const raw = await backend.read(STORAGE_KEY);
+  const calendar = raw ? importCalendarBackup(raw).calendar : createEmptyCalendar();
+  const year = getBiblicalYearFor(new Date());
+  return buildICalendarFeed([year, year + 1].map(each => computeYear({ year: each, calendar })));
+}
+
+async function handle(request, response) {
+  // Only pages served from the listed origins may call the server from a browser
+  const origin = request.headers.origin;
+  if (origin && values.origin.includes(origin)) {
+    response.setHeader('Access-Control-Allow-Origin', origin);
+    response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match, If-None-Match');
+    response.setHeader('Access-Control-Expose-Headers', 'ETag');
+  }
+  response.setHeader('Vary', 'Origin');
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204).end();
+    return;
+  }
+
+  if (new URL(request.url, 'http://localhost').pathname === FEED_PATH) {
+    if (request.method !== 'GET') {
+      response.writeHead(405, { 'Allow': 'GET' }).end('Method not allowed');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8' }).end(await buildFeed());
+    return;
+  }
+
+  let key;
+  try {
+    key = decodeURIComponent(new URL(request.url, 'http://localhost').pathname.slice(1));
+  } catch (error) {
+    response.writeHead(400).end('Invalid key');
+    return;
+  }
+  if (!KEY_PATTERN.test(key)) {
+    response.writeHead(400).end('Invalid key');
+    return;
+  }
+
+  if ((request.method === 'PUT' || request.method === 'DELETE') && !isAuthorized(request)) {
+    if (values.token) {
+      response.writeHead(401).end('Wrong or missing token');
+    } else {
+      response.writeHead(403).end('This server is read-only: start it with --token to accept saves');
+    }
+    return;
+  }
+
+  if (request.method === 'GET') {
+    const text = await backend.read(key);
+    if (text === null) {
+      response.writeHead(404).end('Not found');
+    } else {
+      response.writeHead(200, { 'Content-Type': 'application/json', 'ETag': etagFor(text) }).end(text);
+    }
+  } else if (request.method === 'PUT' || request.method === 'DELETE') {
+    const body = request.method === 'PUT' ? await readBody(request) : null;
+    const status = await exclusive(async () => {
+      if (!matchesVersion(request, await backend.read(key))) return 409;
+      if (body === null) await backend.remove(key);
+      else await backend.write(key, body);
+      return 204;
+    });
+    if (status === 409) {
+      response.writeHead(409).end('Changed since it was read');
+    } else {
+      response.writeHead(204, body === null ? {} : { 'ETag': etagFor(body) }).end();
+    }
+  } else {
+    response.writeHead(405).end('Method not allowed');
+  }
+}
+
+createServer((request, response) => {
+  handle(request, response).catch(error => {
+    const status = error.status || 500;
+    console.error(`${request.method} ${request.url}: ${error.message}`);
+    if (!response.headersSent) response.writeHead(status);
+    response.end(error.message);
+  });
+}).listen(Number(values.port), () => {
+  console.log(`Calendar storage server on http://localhost:${values.port}, saving to ${values.dir}`);
+  if (!values.token) console.log('No --token given: the server is read-only.');
+  if (!values.origin.length) console.log('No --origin given: browsers cannot reach the server from a page.');
+  console.log(`Feast feed: http://localhost:${values.port}${FEED_PATH}`);
+});
@@ -283,3 +283,118 @@ export function getMoonTimes(date, lat, lng, inUTC) {
 
     return result;
 };
+
+
+// apparent ecliptic coordinates of the sun and moon, referred to the true equinox of date
+// (so they include precession and nutation), based on chapters 22, 25 and 47 of
+// "Astronomical Algorithms" 2nd edition by Jean Meeus (Willmann-Bell, Richmond) 1998.
+
+function toCenturies(date) { return toDays(date) / 36525; }
+
+function nutation(T) {
+    const Om = rad * (125.04452 - 1934.136261 * T), // longitude of the moon's ascending node
+        Ls = rad * (280.4665 + 36000.7698 * T),     // mean longitude of the sun
+        Lm = rad * (218.3165 + 481267.8813 * T);    // mean longitude of the moon
+
+    return { // in radians
+        longitude: rad / 3600 * (-17.20 * sin(Om) - 1.32 * sin(2 * Ls) - 0.23 * sin(2 * Lm) + 0.21 * sin(2 * Om)),
+        obliquity: rad / 3600 * (9.20 * cos(Om) + 0.57 * cos(2 * Ls) + 0.10 * cos(2 * Lm) - 0.09 * cos(2 * Om))
+    };
+}
+
+function trueObliquity(T, nut) { return rad * (23.4392911 - 0.0130042 * T) + nut.obliquity; }
+
+function normalize(angle) { return ((angle % (2 * PI)) + 2 * PI) % (2 * PI); }
+
+function equatorialOfDate(l, b, eps) {
+    return {
+        rightAscension: normalize(atan(sin(l) * cos(eps) - tan(b) * sin(eps), cos(l))),
+        declination: asin(sin(b) * cos(eps) + cos(b) * sin(eps) * sin(l))
+    };
+}
+
+export function getSunInfo(date) {
+
+    const T = toCenturies(date),
+        nut = nutation(T),
+        L0 = rad * (280.46646 + 36000.76983 * T + 0.0003032 * T * T), // mean longitude
+        M = rad * (357.52911 + 35999.05029 * T - 0.0001537 * T * T),   // mean anomaly
+        ecc = 0.016708634 - 0.000042037 * T,
+        C = rad * ((1.914602 - 0.004817 * T) * sin(M) + (0.019993 - 0.000101 * T) * sin(2 * M) + 0.000289 * sin(3 * M)),
+        R = 1.000001018 * (1 - ecc * ecc) / (1 + ecc * cos(M + C)), // distance in AU
+        aberration = rad * -20.4898 / 3600 / R,
+        l = normalize(L0 + C + nut.longitude + aberration);
+
+    return {
+        eclipticLongitude: l,
+        eclipticLatitude: 0,
+        distance: R * 149597870.7, // km
+        ...equatorialOfDate(l, 0, trueObliquity(T, nut))
+    };
+}
+
+// the largest periodic terms of the moon's longitude, distance and latitude (Meeus tables 47.A
+// and 47.B): multiples of D, M, M', F, then the coefficients in 0.000001 degrees (longitude,
+// latitude) and 0.001 km (distance)
+
+const moonLongitudeTerms = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925], [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138], [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661], [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208], [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003], [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884]
+];
+
+const moonLatitudeTerms = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200]
+];
+
+function sumTerms(terms, D, M, Mp, F, E, column = 4, fn = sin) {
+    let sum = 0;
+    for (const term of terms) {
+        const [d, m, mp, f] = term;
+        sum += term[column] * Math.pow(E, Math.abs(m)) * fn(d * D + m * M + mp * Mp + f * F);
+    }
+    return sum;
+}
+
+export function getMoonInfo(date) {
+
+    const T = toCenturies(date),
+        nut = nutation(T),
+        Lp = rad * (218.3164477 + 481267.88123421 * T), // mean longitude
+        D = rad * (297.8501921 + 445267.1114034 * T),   // mean elongation
+        M = rad * (357.5291092 + 35999.0502909 * T),    // sun's mean anomaly
+        Mp = rad * (134.9633964 + 477198.8675055 * T),  // moon's mean anomaly
+        F = rad * (93.2720950 + 483202.0175233 * T),    // argument of latitude
+        A1 = rad * (119.75 + 131.849 * T),
+        A2 = rad * (53.09 + 479264.290 * T),
+        A3 = rad * (313.45 + 481266.484 * T),
+        E = 1 - 0.002516 * T, // decreasing eccentricity of the earth's orbit
+
+        sl = sumTerms(moonLongitudeTerms, D, M, Mp, F, E) +
+            3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2),
+        sb = sumTerms(moonLatitudeTerms, D, M, Mp, F, E) -
+            2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F) + 127 * sin(Lp - Mp) - 115 * sin(Lp + Mp),
+
+        sr = sumTerms(moonLongitudeTerms, D, M, Mp, F, E, 5, cos),
+
+        l = normalize(Lp + rad * sl / 1e6 + nut.longitude),
+        b = rad * sb / 1e6;
+
+    return {
+        eclipticLongitude: l,
+        eclipticLatitude: b,
+        distance: 385000.56 + sr / 1000, // km
+        ...equatorialOfDate(l, b, trueObliquity(T, nut))
+    };
+}
@@ -0,0 +1,49 @@
+/*
+ * ===================================
+ * conjunction.test.js
+ * * New moons against published instants: Meeus' worked
+ * * example, and NASA's times (to the minute, UT).
+ * ===================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNewMoonJDE, findNextNewMoon, findNewMoonNearest } from '../conjunction.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Published new moons, rounded to the minute (UT)
+const NEW_MOONS = [
+  '2000-01-06T18:14Z',
+  '2017-08-21T18:30Z', // Total solar eclipse
+  '2023-04-20T04:12Z', // Hybrid solar eclipse
+  '2024-01-11T11:57Z',
+  '2024-04-08T18:21Z', // Total solar eclipse
+  '2025-03-29T10:58Z'
+];
+
+/**
+ * Checks that two instants are within `minutes` of each other.
+ */
+function assertNear(actual, expected, minutes) {
+  const difference = Math.abs(actual - expected) / MINUTE_MS;
+  assert.ok(difference <= minutes,
+    `${actual.toISOString()} is ${difference.toFixed(1)} minutes from ${expected.toISOString()}`);
+}
+
+test('getNewMoonJDE matches Meeus example 49.a (1977 February 18)', () => {
+  assert.ok(Math.abs(getNewMoonJDE(-283) - 2443192.65118) < 0.00001);
+});
+
+test('findNewMoonNearest matches published new moons to the minute', () => {
+  NEW_MOONS.forEach(instant => {
+    const expected = new Date(instant);
+    assertNear(findNewMoonNearest(new Date(expected.getTime() + 5 * 24 * 60 * MINUTE_MS)), expected, 1);
+  });
+});
+
+test('findNextNewMoon finds the next published new moon, not the one just passed', () => {
+  const expected = new Date('2024-04-08T18:21Z');
+  assertNear(findNextNewMoon(new Date('2024-03-10T12:00Z')), expected, 1);
+  assertNear(findNextNewMoon(new Date('2024-03-25T00:00Z')), expected, 1);
+});
@@ -0,0 +1,85 @@
+/*
+ * ===================================
+ * eclipses.test.js
+ * * Eclipses against NASA's Five Millennium Canon
+ * * (greatest eclipse in UT, gamma, lunar umbral
+ * * magnitude) and how they looked from a few cities.
+ * ===================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findEclipsesBetween, getLocalCircumstances } from '../eclipses.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// [greatest eclipse (UT), kind, type, gamma, umbral magnitude (lunar only)]
+const PUBLISHED_ECLIPSES = [
+  ['2017-08-21T18:25:31Z', 'solar', 'total', 0.4367],
+  ['2021-11-19T09:02:55Z', 'lunar', 'partial', -0.4552, 0.974],
+  ['2022-11-08T10:59:11Z', 'lunar', 'total', 0.2570, 1.359],
+  ['2023-04-20T04:16:46Z', 'solar', 'hybrid', -0.3952],
+  ['2023-10-14T17:59:32Z', 'solar', 'annular', 0.3753],
+  ['2024-04-08T18:17:20Z', 'solar', 'total', 0.3431],
+  ['2025-03-14T06:58:43Z', 'lunar', 'total', 0.3485, 1.178],
+  ['2026-08-12T17:45:57Z', 'solar', 'total', 0.8977]
+];
+
+const CITIES = {
+  dallas: { lat: 32.78, lon: -96.80 },
+  nashville: { lat: 36.16, lon: -86.78 },
+  newYork: { lat: 40.71, lon: -74.01 },
+  london: { lat: 51.51, lon: -0.13 },
+  jerusalem: { lat: 31.78, lon: 35.22 }
+};
+
+/**
+ * The eclipse found with greatest eclipse within a day of `instant`.
+ */
+function findEclipseNear(instant) {
+  const date = new Date(instant);
+  const found = findEclipsesBetween(new Date(date - 24 * 60 * MINUTE_MS), new Date(date.getTime() + 24 * 60 * MINUTE_MS));
+  assert.equal(found.length, 1, `one eclipse near ${instant}`);
+  return found[0];
+}
+
+test('eclipses match the canon: time, kind, type, gamma and umbral magnitude', () => {
+  PUBLISHED_ECLIPSES.forEach(([instant, kind, type, gamma, magnitude]) => {
+    const eclipse = findEclipseNear(instant);
+    const minutes = Math.abs(eclipse.date - new Date(instant)) / MINUTE_MS;
+    assert.ok(minutes < 3, `${instant}: greatest eclipse ${minutes.toFixed(1)} minutes off`);
+    assert.equal(eclipse.kind, kind, instant);
+    assert.equal(eclipse.type, type, instant);
+    assert.ok(Math.abs(eclipse.gamma - gamma) < 0.002, `${instant}: gamma ${eclipse.gamma}`);
+    if (magnitude) assert.ok(Math.abs(eclipse.magnitude - magnitude) < 0.01, `${instant}: magnitude ${eclipse.magnitude}`);
+  });
+});
+
+test('every eclipse of 2017-2026 is found, and no others', () => {
+  const counts = {};
+  findEclipsesBetween(new Date('2017-01-01T00:00Z'), new Date('2027-01-01T00:00Z')).forEach(({ date }) => {
+    counts[date.getUTCFullYear()] = (counts[date.getUTCFullYear()] ?? 0) + 1;
+  });
+  assert.deepEqual(counts, { 2017: 4, 2018: 5, 2019: 5, 2020: 6, 2021: 4, 2022: 4, 2023: 4, 2024: 4, 2025: 4, 2026: 4 });
+});
+
+test('solar eclipses are total inside the path and partial or unseen outside it', () => {
+  const april2024 = findEclipseNear('2024-04-08T18:17:20Z');
+  const dallas = getLocalCircumstances(april2024, CITIES.dallas);
+  assert.equal(dallas.type, 'total');
+  assert.ok(Math.abs(dallas.maximum - new Date('2024-04-08T18:42Z')) <= 2 * MINUTE_MS);
+  assert.equal(getLocalCircumstances(april2024, CITIES.newYork).type, 'partial');
+  assert.equal(getLocalCircumstances(april2024, CITIES.jerusalem).visible, false);
+
+  const august2017 = findEclipseNear('2017-08-21T18:25:31Z');
+  assert.equal(getLocalCircumstances(august2017, CITIES.nashville).type, 'total');
+  const london = getLocalCircumstances(august2017, CITIES.london);
+  assert.equal(london.type, 'partial'); // A small bite just before sunset
+  assert.ok(london.magnitude < 0.2);
+});
+
+test('a lunar eclipse is visible where the moon is up', () => {
+  const march2025 = findEclipseNear('2025-03-14T06:58:43Z');
+  assert.equal(getLocalCircumstances(march2025, CITIES.newYork).visible, true);
+  assert.equal(getLocalCircumstances(march2025, CITIES.jerusalem).visible, false);
+});
@@ -0,0 +1,56 @@
+/*
+ * ===================================
+ * hebrewCalendar.test.js
+ * * The Rabbinic calendar against published dates, and
+ * * the rules every year must keep.
+ * ===================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hebrewToDate, isHebrewLeapYear, getHebrewMonthName } from '../hebrewCalendar.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [year, month (Nisan = 1), day, Gregorian date] from published calendars
+const PUBLISHED_DATES = [
+  [5760, 7, 1, '1999-09-11'],  // Rosh Hashanah
+  [5784, 7, 1, '2023-09-16'],
+  [5784, 13, 14, '2024-03-24'], // Purim, in Adar II
+  [5784, 1, 15, '2024-04-23'], // Pesach
+  [5785, 7, 1, '2024-10-03'],
+  [5785, 7, 10, '2024-10-12'], // Yom Kippur
+  [5785, 1, 15, '2025-04-13'],
+  [5786, 7, 1, '2025-09-23']
+];
+
+/**
+ * A local-midnight Date as YYYY-MM-DD.
+ */
+function toDateString(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('-');
+}
+
+test('hebrewToDate matches published dates', () => {
+  PUBLISHED_DATES.forEach(([year, month, day, expected]) => {
+    assert.equal(toDateString(hebrewToDate(year, month, day)), expected, `${day}/${month}/${year}`);
+  });
+});
+
+test('leap years follow the 19-year cycle', () => {
+  assert.deepEqual([5784, 5785, 5786, 5787].map(isHebrewLeapYear), [true, false, false, true]);
+  assert.equal(getHebrewMonthName(12, 5784), 'Adar I');
+  assert.equal(getHebrewMonthName(12, 5785), 'Adar');
+});
+
+test('Rosh Hashanah never falls on Sunday, Wednesday or Friday, and years have a valid length', () => {
+  for (let year = 5600; year <= 5900; year++) {
+    const newYear = hebrewToDate(year, 7, 1);
+    assert.ok(![0, 3, 5].includes(newYear.getDay()), `${year} begins on day ${newYear.getDay()}`);
+    const days = Math.round((hebrewToDate(year + 1, 7, 1) - newYear) / DAY_MS);
+    const lengths = isHebrewLeapYear(year) ? [383, 384, 385] : [353, 354, 355];
+    assert.ok(lengths.includes(days), `${year} has ${days} days`);
+  }
+});
@@ -0,0 +1,74 @@
+/*
+ * ===================================
+ * storage.test.js
+ * * Loading saved data: what is written back, and that
+ * * a shared (remote) calendar is never written to.
+ * ===================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCalendar, createEmptyCalendar, getYearData } from '../storage.js';
+
+/**
+ * A backend over a Map that records every write and removal.
+ */
+function createMemoryBackend(entries, { remote = false } = {}) {
+  const saved = new Map(Object.entries(entries));
+  const changes = [];
+  return {
+    description: 'memory',
+    remote,
+    saved,
+    changes,
+    async read(key) {
+      return saved.get(key) ?? null;
+    },
+    async write(key, text) {
+      changes.push(`write ${key}`);
+      saved.set(key, text);
+    },
+    async remove(key) {
+      changes.push(`remove ${key}`);
+      saved.delete(key);
+    }
+  };
+}
+
+const current = () => {
+  const calendar = createEmptyCalendar();
+  getYearData(calendar, 2026).months[1] = '2026-03-19';
+  return JSON.stringify(calendar);
+};
+
+test('a calendar in the current schema is not written back', async () => {
+  const backend = createMemoryBackend({ karaiteCalendar: current() });
+  const { calendar, problems } = await loadCalendar(backend);
+  assert.equal(calendar.years[2026].months[1], '2026-03-19');
+  assert.deepEqual(problems, []);
+  assert.deepEqual(backend.changes, []);
+});
+
+test('an old schema is saved upgraded, and the old barley reports key removed', async () => {
+  const backend = createMemoryBackend({
+    karaiteCalendar: JSON.stringify({ version: 1, months: {} }),
+    karaiteAvivReports: '{}'
+  });
+  await loadCalendar(backend);
+  assert.deepEqual(backend.changes, ['write karaiteCalendar', 'remove karaiteAvivReports']);
+});
+
+test('a remote calendar is left untouched, even when it cannot be read', async () => {
+  for (const text of [JSON.stringify({ version: 1, months: {} }), '{bad', JSON.stringify({ version: 999 })]) {
+    const backend = createMemoryBackend({ karaiteCalendar: text }, { remote: true });
+    const original = console.error;
+    console.error = () => {};
+    try {
+      await loadCalendar(backend);
+    } finally {
+      console.error = original;
+    }
+    assert.deepEqual(backend.changes, []);
+    assert.equal(backend.saved.get('karaiteCalendar'), text);
+  }
+});
@@ -0,0 +1,36 @@
+/*
+ * ===================================
+ * visibility.test.js
+ * * The crescent predictor: the first likely evening,
+ * * the 30-day fallback, and unscorable evenings.
+ * ===================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { predictFirstVisibility, yallopCategory } from '../visibility.js';
+import { findNewMoonNearest } from '../conjunction.js';
+
+const JERUSALEM = { lat: 31.78, lon: 35.22 };
+const HELSINKI = { lat: 60.17, lon: 24.94 }; // The autumn crescent lies low here
+
+test('Day 1 is the day after the first likely evening', () => {
+  // The crescent was seen from Israel on the evening of 9 April 2024
+  const { sighting, dayOne } = predictFirstVisibility(findNewMoonNearest(new Date(2024, 3, 8)), JERUSALEM.lat, JERUSALEM.lon);
+  assert.equal(sighting.date.toDateString(), new Date(2024, 3, 9).toDateString());
+  assert.equal(dayOne.toDateString(), new Date(2024, 3, 10).toDateString());
+});
+
+test('with no likely evening, the month before runs its full 30 days', () => {
+  const conjunction = findNewMoonNearest(new Date(2024, 10, 1));
+  const previousDayOne = new Date(2024, 9, 4);
+  const { sighting, dayOne } = predictFirstVisibility(conjunction, HELSINKI.lat, HELSINKI.lon, 3, previousDayOne);
+  assert.equal(sighting, null);
+  assert.equal(dayOne.toDateString(), new Date(2024, 10, 3).toDateString());
+});
+
+test('an evening with no q-value is not visible', () => {
+  assert.equal(yallopCategory(null).code, 'F');
+  assert.equal(yallopCategory(NaN).code, 'F');
+  assert.equal(yallopCategory(0.5).code, 'A');
+});
@@ -0,0 +1,223 @@
+/*
+ * ===================================
+ * visibility.js
+ * * Predicts when the new crescent can first be seen.
+ * * Each evening after the conjunction is scored with
+ * * Yallop's q-test (NAO Technical Note 69, 1997) and
+ * * Day 1 is suggested from the first likely evening.
+ * ===================================
+ */
+
+import * as SunCalc from './suncalc.js';
+import { findNewMoonNearest } from './conjunction.js';
+
+const RAD = Math.PI / 180;
+const DEG = 180 / Math.PI;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const EARTH_RADIUS_KM = 6378.14;
+const MOONSET_ALTITUDE = 0.133 * RAD; // Same horizon SunCalc.getMoonTimes uses
+const MOONSET_SEARCH_MINUTES = 6 * 60;
+const SYNODIC_MONTH_MS = 29.530588861 * DAY_MS;
+const FULL_MONTH_DAYS = 30;
+
+// Yallop's visibility classes, from the lowest q each one starts at.
+export const YALLOP_CATEGORIES = [
+  { code: 'A', min: 0.216, label: 'Easily visible to the naked eye' },
+  { code: 'B', min: -0.014, label: 'Visible under perfect conditions' },
+  { code: 'C', min: -0.160, label: 'May need optical aid to find the crescent' },
+  { code: 'D', min: -0.232, label: 'Will need optical aid to find the crescent' },
+  { code: 'E', min: -0.293, label: 'Not visible with a telescope' },
+  { code: 'F', min: -Infinity, label: 'Not visible (below the Danjon limit)' }
+];
+
+// Classes we treat as "likely seen" when suggesting Day 1.
+const LIKELY_VISIBLE = ['A', 'B'];
+
+/**
+ * Returns the Yallop category for a q-value. With no q (null, or NaN
+ * when an evening could not be scored) the crescent is not visible.
+ */
+export function yallopCategory(q) {
+  if (q === null || !Number.isFinite(q)) return YALLOP_CATEGORIES[YALLOP_CATEGORIES.length - 1];
+  return YALLOP_CATEGORIES.find(category => q > category.min);
+}
+
+/**
+ * Removes atmospheric refraction from an apparent altitude (radians).
+ * SunCalc.getMoonPosition adds it, but Yallop's ARCV is airless.
+ */
+function removeRefraction(h) {
+  const hc = Math.max(h, 0);
+  return h - 0.0002967 / Math.tan(hc + 0.00312536 / (hc + 0.08901179));
+}
+
+/**
+ * Finds the moonset nearest to sunset by stepping minute by minute.
+ * Searches forward if the moon is still up at sunset, backward if not.
+ */
+function findMoonset(sunset, lat, lon) {
+  const isUp = time => SunCalc.getMoonPosition(time, lat, lon).altitude > MOONSET_ALTITUDE;
+  const upAtSunset = isUp(sunset);
+  const step = upAtSunset ? MINUTE_MS : -MINUTE_MS;
+
+  for (let m = 1; m <= MOONSET_SEARCH_MINUTES; m++) {
+    const time = new Date(sunset.getTime() + m * step);
+    if (isUp(time) !== upAtSunset) {
+      return upAtSunset ? time : new Date(time.getTime() + MINUTE_MS);
+    }
+  }
+  return null;
+}
+
+/**
+ * The civil date (at the given longitude) that a moment falls on,
+ * returned as UTC noon of that date so SunCalc.getTimes picks the right day.
+ */
+function civilNoon(date, lon) {
+  const shifted = new Date(date.getTime() + (lon / 15) * HOUR_MS);
+  return new Date(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate(), 12));
+}
+
+/**
+ * Scores one evening for crescent visibility.
+ * `noon` is UTC noon of the evening's calendar date.
+ */
+export function assessEvening(noon, conjunction, lat, lon) {
+  const sunset = SunCalc.getTimes(noon, lat, lon).sunset;
+  const moonset = findMoonset(sunset, lat, lon);
+  const date = new Date(noon.getUTCFullYear(), noon.getUTCMonth(), noon.getUTCDate());
+
+  const evening = {
+    date,
+    sunset,
+    moonset,
+    lagMinutes: moonset ? Math.round((moonset - sunset) / MINUTE_MS) : null,
+    bestTime: null,
+    ageHours: (sunset - conjunction) / HOUR_MS,
+    arcl: null,
+    arcv: null,
+    daz: null,
+    width: null,
+    q: null
+  };
+
+  // The moon sets before the sun: nothing to see this evening.
+  if (!moonset || evening.lagMinutes <= 0) {
+    evening.category = yallopCategory(null);
+    evening.likely = false;
+    return evening;
+  }
+
+  // 1. Yallop's "best time": sunset + 4/9 of the lag
+  const bestTime = new Date(sunset.getTime() + (moonset - sunset) * 4 / 9);
+  const sun = SunCalc.getPosition(bestTime, lat, lon);
+  const moon = SunCalc.getMoonPosition(bestTime, lat, lon);
+  const moonAlt = removeRefraction(moon.altitude);
+
+  // 2. Arc of vision, relative azimuth and arc of light (elongation)
+  const arcv = (moonAlt - sun.altitude) * DEG;
+  const dazRad = sun.azimuth - moon.azimuth;
+  const arclRad = Math.acos(Math.min(1, Math.max(-1,
+    Math.sin(sun.altitude) * Math.sin(moonAlt) +
+    Math.cos(sun.altitude) * Math.cos(moonAlt) * Math.cos(dazRad)
+  )));
+
+  // 3. Topocentric crescent width in arc minutes
+  const parallax = Math.asin(EARTH_RADIUS_KM / moon.distance);
+  const semiDiameter = 0.27245 * parallax * DEG * 60;
+  const topoSemiDiameter = semiDiameter * (1 + Math.sin(moonAlt) * Math.sin(parallax));
+  const width = topoSemiDiameter * (1 - Math.cos(arclRad));
+
+  // 4. The q-test itself
+  const q = (arcv - (11.8371 - 6.3226 * width + 0.7319 * width ** 2 - 0.1018 * width ** 3)) / 10;
+  const category = yallopCategory(q);
+
+  return {
+    ...evening,
+    bestTime,
+    ageHours: (bestTime - conjunction) / HOUR_MS,
+    arcl: arclRad * DEG,
+    arcv,
+    daz: dazRad * DEG,
+    width,
+    q,
+    category,
+    likely: LIKELY_VISIBLE.includes(category.code)
+  };
+}
+
+/**
+ * A local date `days` later.
+ */
+function addDays(date, days) {
+  const later = new Date(date);
+  later.setDate(later.getDate() + days);
+  return later;
+}
+
+/**
+ * Scores the first `eveningCount` evenings after a conjunction.
+ */
+function assessEvenings(conjunction, lat, lon, eveningCount) {
+  const evenings = [];
+  let noon = civilNoon(conjunction, lon);
+
+  while (evenings.length < eveningCount) {
+    const evening = assessEvening(noon, conjunction, lat, lon);
+    if (evening.sunset > conjunction) {
+      evenings.push(evening);
+    }
+    noon = new Date(noon.getTime() + DAY_MS);
+  }
+  return evenings;
+}
+
+/**
+ * The predicted Day 1 of the month before a conjunction's: the day after
+ * its first likely evening, or after the last evening scored if none is.
+ */
+function predictPreviousDayOne(conjunction, lat, lon, eveningCount) {
+  const previous = findNewMoonNearest(new Date(conjunction.getTime() - SYNODIC_MONTH_MS));
+  const evenings = assessEvenings(previous, lat, lon, eveningCount);
+  return addDays((evenings.find(evening => evening.likely) || evenings[evenings.length - 1]).date, 1);
+}
+
+/**
+ * Scores the first few evenings after a conjunction and suggests Day 1.
+ * Day 1 is the day after the first evening the crescent is likely visible.
+ * If none of them qualify, the month before is assumed to run its full
+ * 30 days: Day 1 is the 31st day from `previousDayOne` (the month before's
+ * Day 1, predicted from its own new moon when not given), though never
+ * before the first evening after the conjunction has passed. Given
+ * `previousDayOne`, the month before also runs at least 29 days.
+ */
+export function predictFirstVisibility(conjunction, lat, lon, eveningCount = 3, previousDayOne = null) {
+  const evenings = assessEvenings(conjunction, lat, lon, eveningCount);
+  const sighting = evenings.find(evening => evening.likely) || null;
+
+  let dayOne;
+  if (sighting) {
+    dayOne = addDays(sighting.date, 1);
+    // After a run of 30-day months the count can be ahead of the moon
+    const shortest = previousDayOne && addDays(previousDayOne, FULL_MONTH_DAYS - 1);
+    if (shortest && shortest > dayOne) dayOne = shortest;
+  } else {
+    const fullMonth = addDays(previousDayOne ?? predictPreviousDayOne(conjunction, lat, lon, eveningCount), FULL_MONTH_DAYS);
+    const earliest = addDays(evenings[0].date, 1);
+    dayOne = fullMonth > earliest ? fullMonth : earliest;
+  }
+
+  return { conjunction, evenings, sighting, dayOne };
+}
+
+/**
+ * Scores this evening at a location, or returns null when
+ * the moon will not be a young crescent at tonight's sunset.
+ */
+export function assessTonight(now, conjunction, lat, lon) {
+  const evening = assessEvening(civilNoon(now, lon), conjunction, lat, lon);
+  const isYoung = evening.sunset > conjunction && evening.sunset - conjunction < 3 * DAY_MS;
+  return isYoung ? evening : null;
+}
@@ -0,0 +1,122 @@
+/*
+ * ===================================
+ * zodiac.js
+ * * Where the sun and moon stand on the zodiac (the
+ * * Mazzaroth, Job 38:32): in the IAU constellation
+ * * they are really in, Ophiuchus included, or in one
+ * * of twelve equal 30° signs counted from the spring
+ * * equinox (tropical) or from the stars (sidereal).
+ * ===================================
+ */
+
+import * as SunCalc from './suncalc.js';
+import { precessToJ2000 } from './skyCoordinates.js';
+import { CONSTELLATION_NAMES } from './constellations.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const J2000_MS = Date.UTC(2000, 0, 1, 12);
+const RAD = Math.PI / 180;
+
+export const ZODIAC_SIGNS = [
+  'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+  'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
+];
+
+export const ZODIAC_SYSTEMS = {
+  constellations: {
+    name: 'Constellations',
+    description: 'The IAU constellation the sun or moon is actually in, including Ophiuchus.'
+  },
+  tropical: {
+    name: 'Tropical signs',
+    description: 'Twelve 30° signs counted from the spring equinox.'
+  },
+  sidereal: {
+    name: 'Sidereal signs',
+    description: 'Twelve 30° signs fixed to the stars (Lahiri ayanamsa).'
+  }
+};
+
+export const DEFAULT_ZODIAC_SYSTEM = 'constellations';
+
+// Lahiri ayanamsa: degrees at J2000, and its growth per Julian year
+const AYANAMSA_J2000 = 23.853;
+const AYANAMSA_PER_YEAR = 50.2788 / 3600;
+
+/**
+ * How far the sidereal zodiac has slipped behind the tropical one, in degrees.
+ */
+export function getAyanamsa(date) {
+  return AYANAMSA_J2000 + AYANAMSA_PER_YEAR * (date - J2000_MS) / (365.25 * DAY_MS);
+}
+
+/**
+ * Converts an ecliptic longitude (radians) into one of the twelve 30° signs.
+ * Sidereal signs need the date, to allow for precession.
+ */
+export function getZodiacSign(longitude, system = 'tropical', date = new Date()) {
+  let degrees = longitude / RAD;
+  if (system === 'sidereal') degrees -= getAyanamsa(date);
+  degrees = ((degrees % 360) + 360) % 360;
+  return ZODIAC_SIGNS[Math.floor(degrees / 30)];
+}
+
+const BODIES = {
+  sun: SunCalc.getSunInfo,
+  moon: SunCalc.getMoonInfo
+};
+
+/**
+ * Where the sun or moon is at a moment: { id, name }, an IAU abbreviation
+ * and the constellation's name, or a sign (id and name both the sign).
+ * The 'constellations' system needs a `locator` (see createConstellationLocator).
+ */
+export function getZodiacPosition(body, date, { system = DEFAULT_ZODIAC_SYSTEM, locator = null } = {}) {
+  const info = BODIES[body]?.(date);
+  if (!info) throw new Error(`Unknown body "${body}"; use "sun" or "moon".`);
+  if (!ZODIAC_SYSTEMS[system]) throw new Error(`Unknown zodiac system "${system}".`);
+
+  if (system !== 'constellations') {
+    const sign = getZodiacSign(info.eclipticLongitude, system, date);
+    return { id: sign, name: sign };
+  }
+
+  if (!locator) throw new Error('The constellation boundaries are not loaded.');
+  // The boundaries are drawn for the J2000 equinox
+  const { ra, dec } = precessToJ2000(info.rightAscension, info.declination, date);
+  const id = locator.find(ra / RAD, dec / RAD);
+  return { id, name: CONSTELLATION_NAMES[id] ?? 'Unknown' };
+}
+
+// Search steps, shorter than the briefest stay in any constellation or sign
+const SEARCH = {
+  sun: { step: DAY_MS, limit: 60 * DAY_MS },
+  moon: { step: 2 * 60 * MINUTE_MS, limit: 7 * DAY_MS }
+};
+
+/**
+ * When the sun or moon next enters another constellation or sign after
+ * `date`: { date, id, name } to the minute, or null if not found within
+ * two months (sun) or a week (moon).
+ */
+export function findNextZodiacEntry(body, date, options = {}) {
+  const { step, limit } = SEARCH[body] ?? SEARCH.sun;
+  const start = getZodiacPosition(body, date, options).id;
+
+  for (let before = date.getTime(); before < date.getTime() + limit; before += step) {
+    let after = before + step;
+    const entered = getZodiacPosition(body, new Date(after), options);
+    if (entered.id === start) continue;
+
+    // Narrow down the crossing to a minute
+    let lastBefore = before;
+    while (after - lastBefore > MINUTE_MS) {
+      const middle = (lastBefore + after) / 2;
+      if (getZodiacPosition(body, new Date(middle), options).id === start) lastBefore = middle;
+      else after = middle;
+    }
+    return { date: new Date(after), ...getZodiacPosition(body, new Date(after), options) };
+  }
+  return null;
+}